@@ -0,0 +1,11 @@
+// ================================
+// Google tag (gtag.js) setup
+//
+// Kept out of index.html so the Content-Security-Policy can forbid inline script.
+// ================================
+
+window.dataLayer = window.dataLayer || [];
+function gtag() { dataLayer.push(arguments); }
+gtag('js', new Date());
+
+gtag('config', 'G-MPCXSNVBQ8');
@@ -2,6 +2,12 @@
 // GitWrite - Distraction-Free Writing App
 // ================================
 
+// Notes read per cursor page in the history sidebar
+const NOTES_PAGE_SIZE = 50;
+
+// A gap this long between keystrokes in a timer session is logged as a pause
+const SESSION_PAUSE_SECONDS = 10;
+
 class GitWrite {
     constructor() {
         this.initializeProperties();
@@ -12,9 +18,8 @@ class GitWrite {
         this.registerServiceWorker();
         this.checkOnlineStatus();
         this.restoreNote();
+        this.restoreTimer();
         this.startAutosave();
-
-        this.rainSound = new RainSound();
     }
 
     // ================================
@@ -28,6 +33,8 @@ class GitWrite {
         this.sidebar = document.getElementById('sidebar');
         this.timer = document.getElementById('timer');
         this.wordCount = document.getElementById('word-count');
+        this.preview = document.getElementById('preview');
+        this.editorContainer = document.getElementById('editor-container');
         this.syncIndicator = document.getElementById('sync-indicator');
         this.queueCount = document.getElementById('queue-count');
         this.notesList = document.getElementById('notes-list');
@@ -41,8 +48,12 @@ class GitWrite {
         };
         
         this.timerState = {
-            isRunning: false,
+            isRunning: false, // a run is in progress, paused or not
+            isPaused: false,
+            phase: 'work', // work, break or long-break
+            cycle: 1, // work phase number within the run
             timeLeft: 15 * 60, // 15 minutes in seconds
+            endsAt: null, // when the current phase ends, while counting down
             interval: null
         };
         
@@ -50,10 +61,30 @@ class GitWrite {
             fontSize: 18,
             fontFamily: 'Lato',
             timerDuration: 15,
+            timerMode: 'single', // single or pomodoro
+            breakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakEvery: 4, // work phases between long breaks
+            pomodoroCycles: 4, // work phases per run
+            chimeEnabled: true,
+            ambient: { master: 50, layers: { rain: 50, cafe: 0, brown: 0, fireplace: 0 } }, // volumes 0-100
+            ambientPresets: {}, // saved mixes: name -> layer volumes
+            freewriteMode: 'off', // off, strict or keep-going
+            keepGoingSeconds: 5, // idle time before unsaved text starts fading
             autosaveInterval: 30,
             theme: 'light',
             typingSoundEnabled: false,
-            typingVolume: 50
+            typingVolume: 50,
+            typingSoundPack: 'mechanical', // typewriter, mechanical or soft
+            syncMaxAttempts: 5,
+            syncRetryDelay: 30, // seconds, doubled after every failed attempt
+            revisionInterval: 5, // minutes between kept snapshots
+            revisionRecentHours: 24, // then one snapshot per day
+            revisionMaxDays: 30, // 0 keeps daily snapshots forever
+            viewMode: 'editor', // editor, split or preview
+            dailyGoal: 0, // words per day, 0 turns the goal off
+            dayStartHour: 0, // writing before this hour counts for the previous day
+            goalAutoCommit: false
         };
 
         this.github = {
@@ -61,41 +92,115 @@ class GitWrite {
             owner: '',
             repo: '',
             branch: '',
-            pathTemplate: 'notes/{{date}}.md',
+            pathTemplate: 'notes/{{date}}-{{slug}}.md',
             commitMessage: 'Add note {{date}}',
-            rememberToken: false
+            batchSync: false,
+            frontMatter: false,
+            batchCommitMessage: 'Sync {{count}} notes\n\n{{notes}}',
+            rememberToken: false,
+            encryptNotes: false,
+            authMethod: 'token', // 'token' (pasted PAT) or 'oauth' (device flow sign-in)
+            oauthClientId: '',
+            oauthProxy: ''
         };
 
         // Debounce timers
         this.autosaveTimeout = null;
         this.wordCountTimeout = null;
-        this.typingAudio = null;
+        this.previewTimeout = null;
+        this.scrollSyncTarget = null; // pane whose next scroll event was caused by syncing
+        this.typingSounds = null;
+        this.lastInputAt = null;
+
+        // Timer sessions: freewrite lock state and the record being written
+        this.freewriteSession = null;
+        this.sessionRecord = null;
+
+        // Words saved per writing day across all notes (dayKey -> words)
+        this.dailyTotals = new Map();
         
         // Queue for offline sync
         this.syncQueue = [];
         this.isSyncing = false;
+        this.syncRequested = false;
+        this.syncNotices = new Set(); // failure messages already shown during this run
+        this.retryTimeout = null;
+        this.editingJobId = null;
+
+        // Background Sync: the service worker flushes the queue when connectivity returns
+        this.swRegistration = null;
+        this.backgroundSyncSupported = false;
+        this.onlineFallbackTimeout = null;
+
+        // Encrypted token record while GitHub is remembered; this.github.token is
+        // only filled once it has been unlocked (or entered for this session)
+        this.sealedToken = null;
+
+        // Sign-in with GitHub: refresh details of the current token, the passphrase key
+        // that re-seals it after a refresh, and a device flow in progress or finished
+        // but not saved yet
+        this.oauth = null;
+        this.tokenKey = null;
+        this.deviceFlow = null;
+        this.pendingOAuth = null;
+        this.tokenRefresh = null;
+
+        // Repositories the modal's token can see ({ token, repos }), fetched when the picker opens
+        this.repoListing = null;
+
+        // Key for end-to-end encrypted notes ({ key, salt, iterations, repo }); the
+        // CryptoKey is not extractable, so only this device's IndexedDB can use it
+        this.noteKey = null;
+
+        // Pending merge view promise resolver
+        this.mergeResolver = null;
+
+        // Commit history modal state for the note being inspected
+        this.historyState = null;
+
+        // Sidebar filter; folder null means all folders, '' means unfiled
+        this.notesFilter = { tag: null, folder: null, query: '', from: '', to: '' };
+        this.organizingNoteId = null;
+
+        // Search hits for the listed notes (noteId -> { score, ranges }), used to jump to a match
+        this.searchMatches = null;
+        this.searchTimeout = null;
+
+        // Virtualized notes list: loaded notes, rendered rows and cursor position (see resetNotesView)
+        this.notesView = null;
+        this.notesScrollFrame = null;
+        this.notesReloadTimeout = null;
     }
 
     async initializeIndexedDB() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('GitWriteDB', 1);
+            const request = indexedDB.open('GitWriteDB', 8);
             
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
                 this.db = request.result;
                 this.loadNotesHistory();
                 this.loadSyncQueue();
+                this.loadDailyTotals();
+                this.loadGitHubCredentials();
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const upgradeTransaction = event.target.transaction;
                 
                 // Notes store
                 if (!db.objectStoreNames.contains('notes')) {
                     const notesStore = db.createObjectStore('notes', { keyPath: 'id' });
                     notesStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
+
+                // v2: notes pulled from or pushed to GitHub are matched by repo path
+                const notesStore = upgradeTransaction.objectStore('notes');
+                if (!notesStore.indexNames.contains('path')) {
+                    notesStore.createIndex('path', 'path', { unique: false });
+                }
                 
                 // Sync queue store
                 if (!db.objectStoreNames.contains('queue')) {
@@ -103,21 +208,94 @@ class GitWrite {
                     queueStore.createIndex('createdAt', 'createdAt', { unique: false });
                     queueStore.createIndex('status', 'status', { unique: false });
                 }
+
+                // v3: local snapshots of each note, independent of GitHub
+                if (!db.objectStoreNames.contains('revisions')) {
+                    const revisionsStore = db.createObjectStore('revisions', { keyPath: 'id' });
+                    revisionsStore.createIndex('noteTimestamp', ['noteId', 'timestamp'], { unique: false });
+                }
+
+                // Existing notes are backfilled below, in a single pass over the store
+                const backfill = { tags: false, search: false, dailyWords: false };
+
+                // v4: tags (one index entry per tag) and folders for sidebar filtering
+                if (!notesStore.indexNames.contains('tags')) {
+                    notesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                    notesStore.createIndex('folder', 'folder', { unique: false });
+                    backfill.tags = true;
+                }
+
+                // v5: inverted index for full-text search, one posting per (term, note)
+                if (!db.objectStoreNames.contains('searchIndex')) {
+                    const searchStore = db.createObjectStore('searchIndex', { keyPath: ['term', 'noteId'] });
+                    searchStore.createIndex('noteId', 'noteId', { unique: false });
+                    backfill.search = true;
+                }
+
+                // v6: one record per timer session for the stats dashboard
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessionsStore = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessionsStore.createIndex('startedAt', 'startedAt', { unique: false });
+                    sessionsStore.createIndex('noteId', 'noteId', { unique: false });
+                }
+
+                // v7: words written per day live on each note
+                backfill.dailyWords = event.oldVersion > 0 && event.oldVersion < 7;
+
+                // One cursor for every backfill: separate cursors would each write back
+                // the record as they read it and undo one another's updates
+                if (event.oldVersion > 0 && Object.values(backfill).some(Boolean)) {
+                    const searchStore = upgradeTransaction.objectStore('searchIndex');
+                    notesStore.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        let note = cursor.value;
+
+                        // Existing notes pick up the #hashtags already in their text
+                        if (backfill.tags) {
+                            note = { ...note, ...this.organizeNote(note) };
+                        }
+                        if (backfill.search) {
+                            buildSearchPostings(note.id, note.content || '')
+                                .forEach(posting => searchStore.put(posting));
+                        }
+                        // Words already written count towards the day the note was created
+                        if (backfill.dailyWords && !note.dailyWords) {
+                            const day = this.getWritingDay(note.createdAt || note.timestamp);
+                            note = { ...note, dailyWords: { [day]: note.wordCount || 0 } };
+                        }
+
+                        if (backfill.tags || backfill.dailyWords) {
+                            cursor.update(note);
+                        }
+                        cursor.continue();
+                    };
+                }
+
+                // v8: GitHub settings and the encrypted token; queued jobs stop carrying the token
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+
+                    upgradeTransaction.objectStore('queue').openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        const { token, ...job } = cursor.value;
+                        cursor.update(job);
+                        cursor.continue();
+                    };
+                }
             };
         });
     }
 
     initializeAudio() {
-        this.rainSound = new RainSound();
-        
-        try {
-            // NOTE: You need to add a typing sound file at this path
-            this.typingAudio = new Audio('./audio/click.mp3');
-            this.typingAudio.volume = this.settings.typingVolume / 100;
-        } catch (e) {
-            console.error("Could not initialize typing sound", e);
-            this.typingAudio = null;
-        }
+        this.ambient = new AmbientMixer();
+        this.ambient.setMix(this.settings.ambient);
+        this.chime = new Chime();
+
+        this.typingSounds = new TypingSounds();
+        this.typingSounds.setPack(this.settings.typingSoundPack);
+        this.typingSounds.setVolume(this.settings.typingVolume);
     }
 
     async registerServiceWorker() {
@@ -125,6 +303,15 @@ class GitWrite {
             try {
                 const registration = await navigator.serviceWorker.register('/sw.js');
                 console.log('ServiceWorker registration successful:', registration.scope);
+
+                this.swRegistration = registration;
+                this.backgroundSyncSupported = 'sync' in registration;
+                navigator.serviceWorker.addEventListener('message', this.handleServiceWorkerMessage.bind(this));
+
+                // Jobs queued before a reload still need a sync registration
+                if (this.syncQueue.some(job => job.status === 'pending')) {
+                    this.requestBackgroundSync();
+                }
             } catch (error) {
                 console.warn('ServiceWorker registration failed:', error);
                 // Continue app execution even if SW fails
@@ -143,12 +330,26 @@ class GitWrite {
         this.editor.addEventListener('input', this.handleEditorInput.bind(this));
         this.editor.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
         this.editor.addEventListener('keydown', this.handleTyping.bind(this));
+        this.editor.addEventListener('keydown', this.handleFreewriteKeydown.bind(this));
+        this.editor.addEventListener('beforeinput', this.handleFreewriteBeforeInput.bind(this));
+        ['mouseup', 'keyup', 'focus', 'select'].forEach(type => {
+            this.editor.addEventListener(type, this.handleFreewriteSelection.bind(this));
+        });
 
         // Toolbar events
         document.getElementById('new-note').addEventListener('click', this.newNote.bind(this));
         document.getElementById('history-toggle').addEventListener('click', this.toggleSidebar.bind(this));
+        document.getElementById('stats-toggle').addEventListener('click', this.openStats.bind(this));
+        document.getElementById('goal-progress').addEventListener('click', this.openStats.bind(this));
+        document.getElementById('stats-export-csv').addEventListener('click', this.exportSessionsCsv.bind(this));
+        document.getElementById('stats-commit').addEventListener('click', this.commitStatsToGitHub.bind(this));
+        document.getElementById('stats-sessions').addEventListener('click', this.handleStatsSessionClick.bind(this));
         document.getElementById('timer-toggle').addEventListener('click', this.toggleTimer.bind(this));
+        document.getElementById('timer-stop').addEventListener('click', () => this.stopTimer());
         document.getElementById('fullscreen-toggle').addEventListener('click', this.toggleFullscreen.bind(this));
+        document.getElementById('preview-toggle').addEventListener('click', this.cycleViewMode.bind(this));
+        this.editor.addEventListener('scroll', this.syncPreviewScroll.bind(this));
+        this.preview.addEventListener('scroll', this.syncPreviewScroll.bind(this));
         document.getElementById('theme-toggle').addEventListener('click', this.toggleTheme.bind(this));
         document.getElementById('settings-btn').addEventListener('click', () => this.openModal('settings-modal'));
         document.getElementById('save-local').addEventListener('click', this.saveLocal.bind(this));
@@ -157,21 +358,91 @@ class GitWrite {
         // Sidebar events
         document.getElementById('sidebar-close').addEventListener('click', this.closeSidebar.bind(this));
         document.getElementById('sync-now').addEventListener('click', this.syncNow.bind(this));
+        document.getElementById('pull-github').addEventListener('click', this.pullFromGitHub.bind(this));
+        document.getElementById('queue-list').addEventListener('click', this.handleQueueAction.bind(this));
+        document.getElementById('save-job').addEventListener('click', this.saveJobEdits.bind(this));
+        this.notesList.addEventListener('click', this.handleNotesListClick.bind(this));
+        this.notesList.addEventListener('scroll', this.handleNotesScroll.bind(this));
+        document.getElementById('notes-search').addEventListener('input', this.handleNotesSearchInput.bind(this));
+        document.getElementById('notes-from').addEventListener('change', this.handleNotesDateChange.bind(this));
+        document.getElementById('notes-to').addEventListener('change', this.handleNotesDateChange.bind(this));
+        document.getElementById('notes-tag-filter').addEventListener('click', this.handleTagFilterClick.bind(this));
+        document.getElementById('notes-folder-filter').addEventListener('change', this.handleFolderFilterChange.bind(this));
+        document.getElementById('save-organize').addEventListener('click', this.saveNoteOrganization.bind(this));
 
         // Settings modal events
         document.getElementById('font-size').addEventListener('input', this.updateFontSize.bind(this));
         document.getElementById('font-family').addEventListener('change', this.updateFontFamily.bind(this));
         document.getElementById('timer-duration').addEventListener('change', this.updateTimerDuration.bind(this));
+        ['timer-mode', 'break-minutes', 'long-break-minutes', 'long-break-every', 'pomodoro-cycles', 'chime-enabled'].forEach(id => {
+            document.getElementById(id).addEventListener('change', this.updateTimerMode.bind(this));
+        });
+        document.getElementById('freewrite-mode').addEventListener('change', this.updateFreewriteMode.bind(this));
+        document.getElementById('keep-going-seconds').addEventListener('change', this.updateFreewriteMode.bind(this));
+        document.getElementById('daily-goal').addEventListener('change', this.updateDailyGoal.bind(this));
+        document.getElementById('day-start-hour').addEventListener('change', this.updateDailyGoal.bind(this));
+        document.getElementById('goal-auto-commit').addEventListener('change', this.updateDailyGoal.bind(this));
         document.getElementById('autosave-interval').addEventListener('change', this.updateAutosaveInterval.bind(this));
+        document.getElementById('sync-max-attempts').addEventListener('change', this.updateSyncMaxAttempts.bind(this));
+        document.getElementById('revision-interval').addEventListener('change', this.updateRevisionRetention.bind(this));
+        document.getElementById('revision-recent-hours').addEventListener('change', this.updateRevisionRetention.bind(this));
+        document.getElementById('revision-max-days').addEventListener('change', this.updateRevisionRetention.bind(this));
+
+        document.getElementById('ambient-mixer').addEventListener('input', this.handleAmbientInput.bind(this));
+        document.getElementById('ambient-preset').addEventListener('change', this.handleAmbientPresetChange.bind(this));
+        document.getElementById('ambient-preview').addEventListener('click', this.toggleAmbientPreview.bind(this));
+        document.getElementById('ambient-save-preset').addEventListener('click', this.saveAmbientPreset.bind(this));
+        document.getElementById('ambient-delete-preset').addEventListener('click', this.deleteAmbientPreset.bind(this));
 
         // Typing sound settings
         document.getElementById('typing-sound-enabled').addEventListener('change', this.updateTypingSoundEnabled.bind(this));
         document.getElementById('typing-volume').addEventListener('input', this.updateTypingVolume.bind(this));
+        document.getElementById('typing-sound-pack').addEventListener('change', this.updateTypingSoundPack.bind(this));
 
         // GitHub modal events
         document.getElementById('save-github-settings').addEventListener('click', this.saveGitHubSettings.bind(this));
         document.getElementById('test-github').addEventListener('click', this.testGitHubConnection.bind(this));
         document.getElementById('forget-token').addEventListener('click', this.forgetToken.bind(this));
+        document.getElementById('lock-token').addEventListener('click', this.lockToken.bind(this));
+        document.getElementById('github-login').addEventListener('click', this.startDeviceLogin.bind(this));
+        document.getElementById('github-token').addEventListener('change', this.renderGitHubAccount.bind(this));
+        document.getElementById('browse-repos').addEventListener('click', this.toggleRepoPicker.bind(this));
+        document.getElementById('create-notes-repo').addEventListener('click', this.createNotesRepository.bind(this));
+        document.getElementById('repo-search').addEventListener('input', this.renderRepoList.bind(this));
+        document.getElementById('repo-list').addEventListener('click', this.handleRepoListClick.bind(this));
+        ['github-owner', 'github-repo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', this.loadBranches.bind(this));
+        });
+        document.getElementById('cancel-login').addEventListener('click', this.cancelDeviceLogin.bind(this));
+        document.getElementById('remember-token').addEventListener('change', this.updateTokenPassphraseFields.bind(this));
+        document.getElementById('github-encrypt-notes').addEventListener('change', this.updateEncryptionFields.bind(this));
+        document.getElementById('unlock-token').addEventListener('click', this.unlockToken.bind(this));
+        document.getElementById('unlock-passphrase').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.unlockToken();
+        });
+        document.getElementById('github-path').addEventListener('input', this.updateTemplatePreview.bind(this));
+        document.getElementById('commit-message').addEventListener('input', this.updateTemplatePreview.bind(this));
+
+        // Merge modal events
+        document.getElementById('merge-keep-local').addEventListener('click', () => this.finishMerge('local'));
+        document.getElementById('merge-take-remote').addEventListener('click', () => this.finishMerge('remote'));
+        document.getElementById('merge-save').addEventListener('click', () => this.finishMerge('merged'));
+        document.getElementById('merge-local').addEventListener('scroll', this.syncMergeScroll.bind(this));
+        document.getElementById('merge-remote').addEventListener('scroll', this.syncMergeScroll.bind(this));
+
+        // Note history modal events
+        document.getElementById('history-commits').addEventListener('click', this.handleHistoryEntryClick.bind(this));
+        document.getElementById('history-load-more').addEventListener('click', this.loadMoreHistory.bind(this));
+        document.getElementById('history-tab-local').addEventListener('click', () => this.switchHistorySource('local'));
+        document.getElementById('history-tab-github').addEventListener('click', () => this.switchHistorySource('github'));
+        document.getElementById('history-show-preview').addEventListener('click', () => this.setHistoryMode('preview'));
+        document.getElementById('history-show-diff').addEventListener('click', () => this.setHistoryMode('diff'));
+        document.getElementById('history-restore').addEventListener('click', this.restoreHistoryRevision.bind(this));
+
+        // Modal close buttons name the modal they close
+        document.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', () => this.closeModal(button.dataset.closeModal));
+        });
 
         // Global events
         window.addEventListener('online', this.handleOnline.bind(this));
@@ -186,12 +457,25 @@ class GitWrite {
 
     handleEditorInput() {
         this.currentNote.content = this.editor.value;
+        this.noteFreewriteInput();
+        this.trackSessionInput();
+        this.trackWritingTime();
         this.updateWordCount();
+        this.schedulePreviewRender();
         this.scheduleAutosave();
     }
 
+    trackWritingTime() {
+        // Active writing time for the note; pauses over a minute count as breaks
+        const now = Date.now();
+        if (this.lastInputAt && now - this.lastInputAt < 60 * 1000) {
+            this.currentNote.writingSeconds = (this.currentNote.writingSeconds || 0) + (now - this.lastInputAt) / 1000;
+        }
+        this.lastInputAt = now;
+    }
+
     handleTyping(e) {
-        if (!this.settings.typingSoundEnabled || !this.typingAudio) {
+        if (!this.settings.typingSoundEnabled || !this.typingSounds) {
             return;
         }
 
@@ -207,9 +491,8 @@ class GitWrite {
             return;
         }
 
-        // To allow for rapid typing, we reset the audio and play it.
-        this.typingAudio.currentTime = 0;
-        this.typingAudio.play().catch(() => { /* Ignore autoplay errors */ });
+        const kinds = { Enter: 'enter', ' ': 'space', Backspace: 'backspace', Delete: 'backspace' };
+        this.typingSounds.play(kinds[e.key] || 'key');
     }
 
     updateWordCount() {
@@ -220,11 +503,14 @@ class GitWrite {
                 .split(/\s+/)
                 .filter(word => word.length > 0).length;
             this.wordCount.textContent = words === 1 ? '1 word' : `${words} words`;
+            this.updateGoalProgress(words);
         }, 100);
     }
 
     scheduleAutosave() {
         clearTimeout(this.autosaveTimeout);
+        // Keep-going sessions only keep their text once the timer ends
+        if (this.freewriteSession?.mode === 'keep-going') return;
         this.autosaveTimeout = setTimeout(() => {
             this.autosaveNote();
         }, this.settings.autosaveInterval * 1000);
@@ -233,17 +519,33 @@ class GitWrite {
     async autosaveNote() {
         if (!this.editor.value.trim()) return;
 
+        // Words added since the last save count for today; deleting doesn't take any back
+        const wordCount = this.countWords(this.editor.value);
+        const added = Math.max(0, wordCount - (this.currentNote.wordCount || 0));
+        const today = this.getWritingDay();
+        const dailyWords = { ...this.currentNote.dailyWords };
+        if (added) dailyWords[today] = (dailyWords[today] || 0) + added;
+
+        // Keep any GitHub link (path/sha) the note already carries
         const note = {
+            ...this.currentNote,
             id: this.currentNote.id || this.generateId(),
+            createdAt: this.currentNote.createdAt || new Date().toISOString(),
             content: this.editor.value,
             timestamp: new Date().toISOString(),
             title: this.generateTitle(this.editor.value),
-            wordCount: this.editor.value.trim().split(/\s+/).filter(w => w.length > 0).length
+            wordCount,
+            dailyWords
         };
 
         this.currentNote = note;
         await this.saveNoteToIndexedDB(note);
-        this.loadNotesHistory();
+        await this.saveRevision(note);
+
+        if (added) {
+            this.dailyTotals.set(today, (this.dailyTotals.get(today) || 0) + added);
+            this.updateGoalProgress();
+        }
     }
 
     generateTitle(content) {
@@ -251,6 +553,10 @@ class GitWrite {
         return firstLine.length > 50 ? firstLine.substring(0, 50) + '...' : firstLine || 'Untitled';
     }
 
+    countWords(content) {
+        return content.trim().split(/\s+/).filter(w => w.length > 0).length;
+    }
+
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
@@ -271,40 +577,59 @@ class GitWrite {
             title: ''
         };
         
+        this.carrySessionWords('');
         this.editor.value = '';
+        this.lastInputAt = null;
+        this.resetFreewriteBaseline();
         this.editor.focus();
         this.updateWordCount();
+        this.schedulePreviewRender();
         this.showNotification('New note started', 'success');
     }
 
     async loadNote(noteId) {
-        const transaction = this.db.transaction(['notes'], 'readonly');
-        const store = transaction.objectStore('notes');
-        const request = store.get(noteId);
+        let note = await this.getNote(noteId);
+        if (!note) {
+            throw new Error('Note not found');
+        }
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = () => {
-                const note = request.result;
-                if (note) {
-                    this.currentNote = note;
-                    this.editor.value = note.content;
-                    this.updateWordCount();
-                    this.editor.focus();
-                    this.closeSidebar();
-                    resolve(note);
-                } else {
-                    reject(new Error('Note not found'));
-                }
+        // Notes imported with a front matter block keep it as metadata, not body text
+        const { data, fields } = this.splitNoteContent(note.content);
+        if (data) {
+            note = {
+                ...note,
+                ...fields,
+                title: this.generateTitle(fields.content),
+                wordCount: this.countWords(fields.content)
             };
-            request.onerror = () => reject(request.error);
-        });
+            await this.saveNoteToIndexedDB(note);
+        }
+
+        this.carrySessionWords(note.content);
+        this.currentNote = note;
+        this.editor.value = note.content;
+        this.lastInputAt = null;
+        this.resetFreewriteBaseline();
+        this.updateWordCount();
+        this.schedulePreviewRender();
+        this.editor.focus();
+        this.closeSidebar();
+        return note;
     }
 
     async deleteNote(noteId) {
         if (!confirm('Are you sure you want to delete this note?')) return;
 
-        const transaction = this.db.transaction(['notes'], 'readwrite');
+        const transaction = this.db.transaction(['notes', 'revisions', 'searchIndex'], 'readwrite');
         const store = transaction.objectStore('notes');
+        const revisionsStore = transaction.objectStore('revisions');
+        const searchStore = transaction.objectStore('searchIndex');
+
+        // Local snapshots and search postings go with the note
+        const keysRequest = revisionsStore.index('noteTimestamp').getAllKeys(this.getRevisionRange(noteId));
+        keysRequest.onsuccess = () => keysRequest.result.forEach(id => revisionsStore.delete(id));
+        const postingsRequest = searchStore.index('noteId').getAllKeys(noteId);
+        postingsRequest.onsuccess = () => postingsRequest.result.forEach(key => searchStore.delete(key));
         
         await new Promise((resolve, reject) => {
             const request = store.delete(noteId);
@@ -312,470 +637,2966 @@ class GitWrite {
             request.onerror = () => reject(request.error);
         });
 
-        this.loadNotesHistory();
+        this.removeNoteRow(noteId);
+        this.loadDailyTotals();
         this.showNotification('Note deleted', 'success');
     }
 
     async saveNoteToIndexedDB(note) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
+        // Keeps the tags/folder indexes in step with the text; the caller's object is updated too
+        Object.assign(note, this.organizeNote(note));
+
+        const transaction = this.db.transaction(['notes', 'searchIndex'], 'readwrite');
         const store = transaction.objectStore('notes');
+
+        // Reindex only when the text changed; syncs and relabeling leave it alone
+        const previous = store.get(note.id);
+        previous.onsuccess = () => {
+            if (previous.result?.content !== note.content) {
+                this.indexNoteForSearch(transaction.objectStore('searchIndex'), note.id, note.content);
+            }
+        };
         
         return new Promise((resolve, reject) => {
             const request = store.put(note);
-            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => {
+                this.upsertNoteRow(note);
+                resolve();
+            };
         });
     }
 
-    async loadNotesHistory() {
-        if (!this.db) return;
-
+    async getNote(noteId) {
         const transaction = this.db.transaction(['notes'], 'readonly');
         const store = transaction.objectStore('notes');
-        const index = store.index('timestamp');
-        const request = index.getAll();
+        const request = store.get(noteId);
 
-        request.onsuccess = () => {
-            const notes = request.result.sort((a, b) => 
-                new Date(b.timestamp) - new Date(a.timestamp)
-            );
-            this.renderNotesHistory(notes);
-        };
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    renderNotesHistory(notes) {
-        if (notes.length === 0) {
-            this.notesList.innerHTML = `
-                <div class="empty-state">
-                    <p>No notes yet. Start writing!</p>
-                </div>
-            `;
-            return;
-        }
+    async getNoteByPath(path) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const store = transaction.objectStore('notes');
+        const request = store.index('path').get(path);
 
-        this.notesList.innerHTML = notes.map(note => {
-            const date = new Date(note.timestamp).toLocaleDateString();
-            const time = new Date(note.timestamp).toLocaleTimeString([], { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
-            const isQueued = this.isNoteQueued(note.id);
-
-            return `
-                <div class="note-item ${isQueued ? 'queued' : ''}" data-note-id="${note.id}">
-                    <div class="note-meta">
-                        <span>${date} at ${time}</span>
-                        <span>${note.wordCount || 0} words</span>
-                    </div>
-                    <div class="note-preview">${note.title}</div>
-                    <div class="note-actions">
-                        <button class="btn btn-small" onclick="gitwrite.loadNote('${note.id}')">Open</button>
-                        <button class="btn btn-small" onclick="gitwrite.downloadNote('${note.id}')">Download</button>
-                        <button class="btn btn-small btn-danger" onclick="gitwrite.deleteNote('${note.id}')">Delete</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    // ================================
-    // Save Functionality
-    // ================================
+    async loadNotesHistory({ keepScroll = false } = {}) {
+        if (!this.db) return;
 
-    async saveLocal() {
-        const content = this.editor.value.trim();
-        if (!content) {
-            this.showNotification('Nothing to save', 'warning');
+        this.resetNotesView();
+        const view = this.notesView;
+        const { tag, folder, query } = this.notesFilter;
+        const dateRange = this.getNotesDateRange();
+
+        if (!keepScroll) {
+            this.notesList.scrollTop = 0;
+        }
+        this.notesList.classList.toggle('searching', Boolean(query.trim()));
+        this.loadNoteFilters();
+
+        if (query.trim()) {
+            const matches = await this.searchNotes(query);
+            const notes = (await Promise.all([...matches.keys()].map(id => this.getNote(id))))
+                .filter(note => note && this.matchesNotesFilter(note, dateRange))
+                .sort((a, b) => matches.get(b.id).score - matches.get(a.id).score || this.compareNotes(a, b));
+
+            if (view !== this.notesView) return;
+            this.searchMatches = matches;
+            view.notes = notes;
+            this.renderNotesWindow();
             return;
         }
 
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `note-${timestamp}.md`;
-        
-        const blob = new Blob([content], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        
-        URL.revokeObjectURL(url);
-        this.showNotification('Note downloaded successfully', 'success');
-    }
+        this.searchMatches = null;
 
-    async downloadNote(noteId) {
-        const transaction = this.db.transaction(['notes'], 'readonly');
-        const store = transaction.objectStore('notes');
-        const request = store.get(noteId);
+        // The unfiltered list (optionally by date) is read from the timestamp index a page at a time
+        if (!tag && folder === null) {
+            view.paged = true;
+            view.hasMore = true;
+            this.loadNotesPage();
+            return;
+        }
+
+        // Tag and folder lists are usually short, so they are loaded in one go
+        const store = this.db.transaction(['notes'], 'readonly').objectStore('notes');
+        let request;
+        if (tag) {
+            request = store.index('tags').getAll(tag);
+        } else if (folder) {
+            request = store.index('folder').getAll(IDBKeyRange.bound(folder, `${folder}/\uffff`));
+        } else {
+            request = store.index('folder').getAll('');
+        }
 
         request.onsuccess = () => {
-            const note = request.result;
-            if (note) {
-                const timestamp = new Date(note.timestamp).toISOString().replace(/[:.]/g, '-');
-                const filename = `note-${timestamp}.md`;
-                
-                const blob = new Blob([note.content], { type: 'text/markdown' });
-                const url = URL.createObjectURL(blob);
-                
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename;
-                a.click();
-                
-                URL.revokeObjectURL(url);
-                this.showNotification('Note downloaded successfully', 'success');
-            }
+            if (view !== this.notesView) return;
+            view.notes = request.result
+                .filter(note => this.matchesNotesFilter(note, dateRange))
+                .sort((a, b) => this.compareNotes(a, b));
+            this.renderNotesWindow();
         };
     }
 
-    async saveToGitHub() {
-        try {
-            if (!this.github?.token) {
-                this.openModal('github-modal');
-                return;
-            }
+    resetNotesView() {
+        this.notesView = {
+            notes: [],
+            rows: new Map(), // noteId -> row element currently in the DOM
+            paged: false,
+            hasMore: false,
+            loading: false,
+            lastKey: null, // { timestamp, id } of the last note read from the timestamp index
+            rowHeight: null
+        };
+    }
 
-            const content = this.editor.value;
-            if (!content.trim()) {
-                this.showNotification('Cannot save empty note', 'error');
+    loadNotesPage() {
+        const view = this.notesView;
+        const { lastKey } = view;
+        const listed = new Set(view.notes.map(note => note.id));
+        const page = [];
+        let lastRead = null;
+
+        // Continue at the last timestamp read; notes sharing it come in descending id order
+        const dateRange = this.getNotesDateRange();
+        let range = dateRange;
+        if (lastKey) {
+            range = dateRange && dateRange.lower !== undefined
+                ? IDBKeyRange.bound(dateRange.lower, lastKey.timestamp, dateRange.lowerOpen, false)
+                : IDBKeyRange.upperBound(lastKey.timestamp);
+        }
+
+        view.loading = true;
+        const request = this.db.transaction(['notes'], 'readonly')
+            .objectStore('notes')
+            .index('timestamp')
+            .openCursor(range, 'prev');
+
+        request.onsuccess = () => {
+            if (view !== this.notesView) return;
+            const cursor = request.result;
+
+            if (cursor && page.length < NOTES_PAGE_SIZE) {
+                const alreadyRead = lastKey && cursor.key === lastKey.timestamp && cursor.primaryKey >= lastKey.id;
+                if (!alreadyRead) {
+                    lastRead = { timestamp: cursor.key, id: cursor.primaryKey };
+                    // Saved while paging, so it's already at the top of the list
+                    if (!listed.has(cursor.primaryKey)) page.push(cursor.value);
+                }
+                cursor.continue();
                 return;
             }
 
-            const githubService = new GitHubService(this.github.token);
-            const date = new Date().toISOString().split('T')[0];
-            
-            // Process templates
-            const path = this.processTemplate(this.github.pathTemplate, { date });
-            const message = this.processTemplate(this.github.commitMessage, { date });
-
-            this.showNotification('Saving to GitHub...', 'info');
+            view.lastKey = lastRead || lastKey;
+            view.hasMore = Boolean(cursor);
+            view.loading = false;
+            view.notes.push(...page);
+            this.renderNotesWindow();
+        };
+        request.onerror = () => {
+            view.loading = false;
+        };
+    }
 
-            await githubService.createOrUpdateFile(
-                this.github.owner,
-                this.github.repo,
-                path,
-                content,
-                message,
-                this.github.branch
-            );
+    compareNotes(a, b) {
+        // Newest first, matching the timestamp index read backwards
+        if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? 1 : -1;
+        return a.id < b.id ? 1 : -1;
+    }
 
-            this.showNotification('Saved to GitHub successfully', 'success');
-        } catch (error) {
-            console.error('Failed to save to GitHub:', error);
-            this.showNotification(`GitHub save failed: ${error.message}`, 'error');
-            
-            // Add to sync queue if offline
-            if (!navigator.onLine) {
-                await this.addToSyncQueue({
-                    type: 'github',
-                    content: this.editor.value,
-                    timestamp: new Date().toISOString()
-                });
-                this.showNotification('Added to sync queue', 'warning');
-            }
-        }
+    getNotesDateRange() {
+        // Dates are local days; timestamps are ISO strings, so the range compares as text
+        const { from, to } = this.notesFilter;
+        const lower = from ? new Date(`${from}T00:00:00`).toISOString() : null;
+        const upper = to ? new Date(`${to}T23:59:59.999`).toISOString() : null;
+
+        // A reversed range can't be built as a key range; it simply matches nothing
+        if (lower && upper) return lower <= upper ? IDBKeyRange.bound(lower, upper) : IDBKeyRange.only('');
+        if (lower) return IDBKeyRange.lowerBound(lower);
+        if (upper) return IDBKeyRange.upperBound(upper);
+        return null;
     }
 
-    processTemplate(template) {
-        const now = new Date();
-        const date = now.toISOString().split('T')[0];
-        const timestamp = now.toISOString().replace(/[:.]/g, '-');
-        
-        return template
-            .replace(/\{\{date\}\}/g, date)
-            .replace(/\{\{timestamp\}\}/g, timestamp);
+    matchesNotesFilter(note, dateRange) {
+        const { tag, folder } = this.notesFilter;
+
+        if (tag && !(note.tags || []).includes(tag)) return false;
+        if (dateRange && !dateRange.includes(note.timestamp)) return false;
+
+        // Subfolders count as part of their parent
+        if (folder === null) return true;
+        if (folder === '') return !note.folder;
+        return note.folder === folder || (note.folder || '').startsWith(`${folder}/`);
     }
 
-    // ================================
-    // GitHub API Integration
-    // ================================
+    renderNotesWindow() {
+        const view = this.notesView;
+        if (!view) return;
 
-    async testGitHubConnection() {
-        const token = document.getElementById('github-token').value;
-        const owner = document.getElementById('github-owner').value;
-        const repo = document.getElementById('github-repo').value;
+        if (view.notes.length === 0) {
+            // An empty first page is still on its way
+            if (view.hasMore) return;
 
-        if (!token || !owner || !repo) {
-            this.showNotification('Please fill in all required fields', 'error');
+            const { tag, folder, query, from, to } = this.notesFilter;
+            const filtered = tag || folder !== null || query.trim() || from || to;
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            const message = document.createElement('p');
+            message.textContent = filtered ? 'No notes match this filter.' : 'No notes yet. Start writing!';
+            empty.appendChild(message);
+
+            this.notesList.replaceChildren(empty);
+            view.rows.clear();
             return;
         }
 
-        try {
-            const response = await fetch(`https://api.github.com/repos/${owner}/${repo}`, {
-                headers: {
-                    'Authorization': `token ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
+        let spacer = this.notesList.querySelector('.notes-spacer');
+        if (!spacer) {
+            spacer = document.createElement('div');
+            spacer.className = 'notes-spacer';
+            this.notesList.replaceChildren(spacer);
+        }
 
-            if (response.ok) {
-                const repoData = await response.json();
-                this.showNotification(`Connected to ${repoData.full_name}`, 'success');
-                
-                // Auto-fill branch if empty
-                if (!document.getElementById('github-branch').value) {
-                    document.getElementById('github-branch').value = repoData.default_branch;
-                }
-            } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-        } catch (error) {
-            this.showNotification(`Connection failed: ${error.message}`, 'error');
+        const rowHeight = this.getNoteRowHeight(spacer);
+        spacer.style.height = `${view.notes.length * rowHeight}px`;
+
+        // Only rows on screen, plus one screen above and below, are in the DOM
+        const { scrollTop, clientHeight } = this.notesList;
+        const first = Math.max(0, Math.floor((scrollTop - clientHeight) / rowHeight));
+        const last = Math.min(view.notes.length, Math.ceil((scrollTop + 2 * clientHeight) / rowHeight));
+        const visible = new Map();
+
+        for (let i = first; i < last; i++) {
+            const note = view.notes[i];
+            const row = view.rows.get(note.id) || this.createNoteRow(note);
+            row.style.transform = `translateY(${i * rowHeight}px)`;
+            if (!row.isConnected) spacer.appendChild(row);
+            visible.set(note.id, row);
         }
-    }
 
-    async commitToGitHub(job) {
-        try {
-            // Get default branch if not specified
-            let branch = job.branch;
-            if (!branch) {
-                const repoResponse = await fetch(`https://api.github.com/repos/${job.owner}/${job.repo}`, {
-                    headers: {
-                        'Authorization': `token ${job.token}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                });
-                
-                if (repoResponse.ok) {
-                    const repoData = await repoResponse.json();
-                    branch = repoData.default_branch;
-                }
-            }
+        for (const row of [...spacer.children]) {
+            if (visible.get(row.dataset.noteId) !== row) row.remove();
+        }
+        view.rows = visible;
 
-            // Check if file exists to get SHA
-            let sha = null;
-            const fileResponse = await fetch(
-                `https://api.github.com/repos/${job.owner}/${job.repo}/contents/${job.path}?ref=${branch}`,
-                {
-                    headers: {
-                        'Authorization': `token ${job.token}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                }
-            );
+        // Read ahead before the end of the loaded notes comes into view
+        if (view.paged && view.hasMore && !view.loading && last + NOTES_PAGE_SIZE / 2 >= view.notes.length) {
+            this.loadNotesPage();
+        }
+    }
 
-            if (fileResponse.ok) {
-                const fileData = await fileResponse.json();
-                sha = fileData.sha;
-            }
+    getNoteRowHeight(spacer) {
+        const view = this.notesView;
+        if (view.rowHeight) return view.rowHeight;
 
-            // Create or update file using UTF-8 safe base64 encoding
-            const content = utf8ToBase64(job.content);
-            const payload = {
-                message: job.commitMessage,
-                content: content,
-                branch: branch
-            };
+        // Rows have a fixed CSS height; measuring one picks up breakpoints and the search layout
+        const probe = this.createNoteRow(view.notes[0]);
+        probe.style.visibility = 'hidden';
+        spacer.appendChild(probe);
+        const height = probe.offsetHeight + parseFloat(getComputedStyle(probe).marginBottom);
+        probe.remove();
 
-            if (sha) {
-                payload.sha = sha;
-            }
+        if (height > 0) {
+            view.rowHeight = height;
+        }
+        return height || 180;
+    }
 
-            const commitResponse = await fetch(
-                `https://api.github.com/repos/${job.owner}/${job.repo}/contents/${job.path}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Authorization': `token ${job.token}`,
-                        'Accept': 'application/vnd.github.v3+json',
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(payload)
+    createNoteRow(note) {
+        const row = document.createElement('div');
+        row.className = 'note-item';
+        row.classList.toggle('queued', this.isNoteQueued(note.id));
+        row.dataset.noteId = note.id;
+
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        const date = new Date(note.timestamp).toLocaleDateString();
+        const time = new Date(note.timestamp).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const when = document.createElement('span');
+        when.textContent = `${date} at ${time}`;
+        const words = document.createElement('span');
+        words.textContent = `${note.wordCount || 0} words`;
+        meta.append(when, words);
+
+        const preview = document.createElement('div');
+        preview.className = 'note-preview';
+        preview.textContent = note.title;
+        row.append(meta, preview);
+
+        const match = this.searchMatches?.get(note.id);
+        if (match) {
+            const snippet = document.createElement('div');
+            snippet.className = 'note-snippet';
+            buildSearchSnippet(note.content, match.ranges).forEach(segment => {
+                if (segment.match) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = segment.text;
+                    snippet.appendChild(mark);
+                } else {
+                    snippet.append(segment.text);
                 }
-            );
+            });
+            row.appendChild(snippet);
+        }
 
-            if (commitResponse.ok) {
-                const result = await commitResponse.json();
-                return { success: true, data: result };
-            } else {
-                const error = await commitResponse.json();
-                throw new Error(error.message || `HTTP ${commitResponse.status}`);
+        if (note.folder || note.tags?.length) {
+            const labels = document.createElement('div');
+            labels.className = 'note-labels';
+            if (note.folder) {
+                const folder = document.createElement('span');
+                folder.className = 'note-folder';
+                folder.textContent = note.folder;
+                labels.appendChild(folder);
             }
-        } catch (error) {
-            return { success: false, error: error.message };
+            (note.tags || []).forEach(tag => {
+                const chip = document.createElement('button');
+                chip.className = 'tag-chip';
+                chip.dataset.tag = tag;
+                chip.textContent = `#${tag}`;
+                labels.appendChild(chip);
+            });
+            row.appendChild(labels);
         }
-    }
 
-    // ================================
-    // Sync Queue Management
-    // ================================
+        const actions = document.createElement('div');
+        actions.className = 'note-actions';
+        [['open', 'Open'], ['download', 'Download'], ['history', 'History'], ['organize', 'Organize'], ['delete', 'Delete']]
+            .forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = action === 'delete' ? 'btn btn-small btn-danger' : 'btn btn-small';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+        row.appendChild(actions);
 
-    async addToSyncQueue(job) {
-        const transaction = this.db.transaction(['queue'], 'readwrite');
-        const store = transaction.objectStore('queue');
-        
-        return new Promise((resolve, reject) => {
-            const request = store.put(job);
-            request.onsuccess = () => {
-                this.loadSyncQueue();
-                resolve();
-            };
-            request.onerror = () => reject(request.error);
-        });
+        return row;
     }
 
-    async loadSyncQueue() {
-        if (!this.db) return;
+    handleNotesListClick(e) {
+        const chip = e.target.closest('[data-tag]');
+        if (chip) {
+            this.filterNotesByTag(chip.dataset.tag);
+            return;
+        }
 
-        const transaction = this.db.transaction(['queue'], 'readonly');
-        const store = transaction.objectStore('queue');
-        const request = store.getAll();
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const noteId = button.closest('[data-note-id]').dataset.noteId;
+        switch (button.dataset.action) {
+            case 'open':
+                this.openNoteFromList(noteId);
+                break;
+            case 'download':
+                this.downloadNote(noteId);
+                break;
+            case 'history':
+                this.openNoteHistory(noteId);
+                break;
+            case 'organize':
+                this.openOrganizeNote(noteId);
+                break;
+            case 'delete':
+                this.deleteNote(noteId);
+                break;
+        }
+    }
 
-        request.onsuccess = () => {
-            this.syncQueue = request.result;
-            this.updateSyncUI();
-        };
+    handleNotesScroll() {
+        if (this.notesScrollFrame) return;
+        this.notesScrollFrame = requestAnimationFrame(() => {
+            this.notesScrollFrame = null;
+            this.renderNotesWindow();
+        });
     }
 
-    async processSyncQueue() {
-        if (this.isSyncing || !navigator.onLine) return;
+    upsertNoteRow(note) {
+        const view = this.notesView;
+        if (!view) return;
 
-        const pendingJobs = this.syncQueue.filter(job => job.status === 'pending');
-        if (pendingJobs.length === 0) return;
+        // Search hits depend on the text, so the query is rerun instead of patched
+        if (this.notesFilter.query.trim()) {
+            clearTimeout(this.notesReloadTimeout);
+            this.notesReloadTimeout = setTimeout(() => this.loadNotesHistory({ keepScroll: true }), 500);
+            return;
+        }
 
-        this.isSyncing = true;
-        this.updateSyncIndicator('syncing');
+        const index = view.notes.findIndex(item => item.id === note.id);
+        const previous = index >= 0 ? view.notes.splice(index, 1)[0] : null;
+        view.rows.get(note.id)?.remove();
+        view.rows.delete(note.id);
+
+        // Notes past the last page read turn up when paging reaches them
+        const loaded = !view.paged || !view.hasMore ||
+            (view.lastKey && note.timestamp >= view.lastKey.timestamp);
+        if (loaded && this.matchesNotesFilter(note, this.getNotesDateRange())) {
+            const position = view.notes.findIndex(item => this.compareNotes(note, item) < 0);
+            view.notes.splice(position === -1 ? view.notes.length : position, 0, { ...note });
+        }
 
-        for (const job of pendingJobs) {
-            const result = await this.commitToGitHub(job);
-            
-            if (result.success) {
-                await this.updateQueueJob(job.id, { status: 'completed' });
-                this.showNotification('Note synced to GitHub', 'success');
-            } else {
-                await this.updateQueueJob(job.id, { 
-                    status: 'failed', 
-                    error: result.error 
-                });
-                this.showNotification(`Sync failed: ${result.error}`, 'error');
-            }
+        // New tags or folders need new filter options
+        if (!previous || previous.folder !== note.folder || String(previous.tags) !== String(note.tags)) {
+            this.loadNoteFilters();
         }
+        this.renderNotesWindow();
+    }
 
-        await this.loadSyncQueue();
-        this.isSyncing = false;
-        this.updateSyncIndicator(navigator.onLine ? 'online' : 'offline');
+    removeNoteRow(noteId) {
+        const view = this.notesView;
+        if (!view) return;
+
+        view.notes = view.notes.filter(note => note.id !== noteId);
+        view.rows.get(noteId)?.remove();
+        view.rows.delete(noteId);
+        this.loadNoteFilters();
+        this.renderNotesWindow();
+    }
+
+    refreshNoteRowStatus() {
+        // Queue changes only move the queued marker; rows keep their place and content
+        for (const [noteId, row] of this.notesView?.rows || []) {
+            row.classList.toggle('queued', this.isNoteQueued(noteId));
+        }
+    }
+
+    // ================================
+    // Tags & Folders
+    // ================================
+
+    organizeNote(note) {
+        const hashtags = extractHashtags(note.content || '');
+
+        // Records from before v4 only carry `tags`; whatever is not written inline was added by hand
+        const manualTags = note.manualTags
+            ? mergeTags(note.manualTags)
+            : mergeTags(note.tags || []).filter(tag => !hashtags.includes(tag));
+
+        return {
+            manualTags,
+            tags: mergeTags(manualTags, hashtags),
+            folder: normalizeFolder(note.folder)
+        };
+    }
+
+    loadNoteFilters() {
+        const store = this.db.transaction(['notes'], 'readonly').objectStore('notes');
+
+        // Counts come straight from the index keys, without loading any notes
+        const tagCounts = new Map();
+        store.index('tags').openKeyCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                tagCounts.set(cursor.key, (tagCounts.get(cursor.key) || 0) + 1);
+                cursor.continue();
+            } else {
+                this.renderTagFilter(tagCounts);
+            }
+        };
+
+        const folders = [];
+        store.index('folder').openKeyCursor(null, 'nextunique').onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                if (cursor.key) folders.push(cursor.key);
+                cursor.continue();
+            } else {
+                this.renderFolderFilter(folders);
+            }
+        };
+    }
+
+    renderTagFilter(tagCounts) {
+        const container = document.getElementById('notes-tag-filter');
+        container.replaceChildren();
+
+        for (const [tag, count] of tagCounts) {
+            const chip = document.createElement('button');
+            chip.className = 'tag-chip';
+            chip.classList.toggle('active', tag === this.notesFilter.tag);
+            chip.dataset.tag = tag;
+            chip.textContent = `#${tag}`;
+            chip.title = count === 1 ? '1 note' : `${count} notes`;
+            container.appendChild(chip);
+        }
+
+        // A tag that no longer exists can't stay selected
+        if (this.notesFilter.tag && !tagCounts.has(this.notesFilter.tag)) {
+            this.filterNotesByTag(null);
+        }
+    }
+
+    renderFolderFilter(folders) {
+        const select = document.getElementById('notes-folder-filter');
+        const selected = this.notesFilter.folder;
+
+        select.replaceChildren(new Option('All folders', '*'), new Option('Unfiled', ''));
+        folders.forEach(folder => select.add(new Option(folder, folder)));
+
+        // Parents of nested folders are valid filters even when no note sits in them directly
+        if (selected && !folders.includes(selected)) {
+            select.add(new Option(selected, selected));
+        }
+        select.value = selected === null ? '*' : selected;
+
+        document.getElementById('organize-folder-options').replaceChildren(
+            ...folders.map(folder => new Option(folder))
+        );
+    }
+
+    filterNotesByTag(tag) {
+        // Picking the active tag again clears it
+        this.notesFilter.tag = tag && tag !== this.notesFilter.tag ? tag : null;
+        this.loadNotesHistory();
+    }
+
+    handleTagFilterClick(e) {
+        const chip = e.target.closest('[data-tag]');
+        if (chip) this.filterNotesByTag(chip.dataset.tag);
+    }
+
+    handleFolderFilterChange(e) {
+        this.notesFilter.folder = e.target.value === '*' ? null : e.target.value;
+        this.loadNotesHistory();
+    }
+
+    async openOrganizeNote(noteId) {
+        const note = await this.getNote(noteId);
+        if (!note) return;
+
+        const { manualTags, folder } = this.organizeNote(note);
+        const hashtags = extractHashtags(note.content).filter(tag => !manualTags.includes(tag));
+
+        this.organizingNoteId = noteId;
+        document.getElementById('organize-title').textContent = note.title;
+        document.getElementById('organize-folder').value = folder;
+        document.getElementById('organize-tags').value = manualTags.join(', ');
+        document.getElementById('organize-hashtags').textContent =
+            hashtags.length ? hashtags.map(tag => `#${tag}`).join(' ') : 'none';
+        this.openModal('organize-modal');
+    }
+
+    async saveNoteOrganization() {
+        const note = await this.getNote(this.organizingNoteId);
+        if (!note) return;
+
+        note.folder = document.getElementById('organize-folder').value;
+        note.manualTags = parseTagList(document.getElementById('organize-tags').value);
+        await this.saveNoteToIndexedDB(note);
+
+        // The open note may have unsaved text, so only its labels are replaced
+        if (this.currentNote.id === note.id) {
+            const { manualTags, tags, folder } = note;
+            Object.assign(this.currentNote, { manualTags, tags, folder });
+        }
+
+        this.organizingNoteId = null;
+        this.closeModal('organize-modal');
+        this.showNotification('Note organized', 'success');
+    }
+
+    // ================================
+    // Search
+    // ================================
+
+    indexNoteForSearch(searchStore, noteId, content) {
+        const postings = buildSearchPostings(noteId, content);
+        const keysRequest = searchStore.index('noteId').getAllKeys(noteId);
+
+        keysRequest.onsuccess = () => {
+            // Drop terms the note no longer contains; the rest are overwritten with new positions
+            keysRequest.result
+                .filter(([term]) => !postings.has(term))
+                .forEach(key => searchStore.delete(key));
+            postings.forEach(posting => searchStore.put(posting));
+        };
+    }
+
+    async searchNotes(query) {
+        const clauses = parseSearchQuery(query);
+        if (!clauses.length) return new Map();
+
+        const transaction = this.db.transaction(['searchIndex'], 'readonly');
+        const store = transaction.objectStore('searchIndex');
+
+        // Every clause must match; the note's score is its total number of hits
+        const clauseHits = await Promise.all(clauses.map(clause => this.matchSearchClause(store, clause)));
+        const [first, ...rest] = clauseHits;
+        const matches = new Map();
+
+        for (const [noteId, ranges] of first) {
+            if (!rest.every(hits => hits.has(noteId))) continue;
+            const allRanges = ranges.concat(...rest.map(hits => hits.get(noteId)));
+            matches.set(noteId, { score: allRanges.length, ranges: allRanges });
+        }
+
+        return matches;
+    }
+
+    matchSearchClause(store, clause) {
+        // Resolves to noteId -> [[start, end], ...] for one query clause
+        const getPostings = (range) => new Promise((resolve, reject) => {
+            const request = store.getAll(range);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const termRange = (term) => IDBKeyRange.bound([term, ''], [term, '\uffff']);
+
+        if (clause.type === 'prefix') {
+            const [prefix] = clause.terms;
+            return getPostings(IDBKeyRange.bound([prefix, ''], [`${prefix}\uffff`, ''])).then(postings => {
+                const hits = new Map();
+                postings.forEach(posting => {
+                    hits.set(posting.noteId, (hits.get(posting.noteId) || []).concat(posting.ranges));
+                });
+                return hits;
+            });
+        }
+
+        return Promise.all(clause.terms.map(term => getPostings(termRange(term)))).then(postingsPerTerm => {
+            const hits = new Map();
+            const byNote = postingsPerTerm.map(postings => new Map(postings.map(posting => [posting.noteId, posting])));
+
+            for (const [noteId, posting] of byNote[0]) {
+                if (clause.type === 'term') {
+                    hits.set(noteId, posting.ranges);
+                    continue;
+                }
+
+                const notePostings = byNote.map(postings => postings.get(noteId));
+                if (notePostings.some(p => !p)) continue;
+
+                const ranges = matchPhrase(notePostings);
+                if (ranges.length) hits.set(noteId, ranges);
+            }
+            return hits;
+        });
+    }
+
+    handleNotesSearchInput() {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+            this.notesFilter.query = document.getElementById('notes-search').value;
+            this.loadNotesHistory();
+        }, 200);
+    }
+
+    handleNotesDateChange() {
+        this.notesFilter.from = document.getElementById('notes-from').value;
+        this.notesFilter.to = document.getElementById('notes-to').value;
+        this.loadNotesHistory();
+    }
+
+    async openNoteFromList(noteId) {
+        const match = this.searchMatches?.get(noteId);
+        await this.loadNote(noteId);
+        if (!match) return;
+
+        const [start, end] = [...match.ranges].sort((a, b) => a[0] - b[0])[0];
+        this.revealEditorRange(start, end);
+    }
+
+    revealEditorRange(start, end) {
+        // Measure by truncating the text: scrollHeight then accounts for wrapped lines
+        const { value } = this.editor;
+        end = Math.min(end, value.length);
+
+        this.editor.value = value.substring(0, end);
+        const offset = this.editor.scrollHeight;
+        this.editor.value = value;
+
+        this.editor.scrollTop = Math.max(0, offset - this.editor.clientHeight / 2);
+        this.editor.setSelectionRange(Math.min(start, end), end);
+    }
+
+    // ================================
+    // Local Revisions
+    // ================================
+
+    getRevisionRange(noteId) {
+        return IDBKeyRange.bound([noteId, ''], [noteId, '\uffff']);
+    }
+
+    async getRevisions(noteId) {
+        const transaction = this.db.transaction(['revisions'], 'readonly');
+        const index = transaction.objectStore('revisions').index('noteTimestamp');
+        const request = index.getAll(this.getRevisionRange(noteId));
+
+        // Oldest first, ordered by the compound index
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveRevision(note) {
+        const revisions = await this.getRevisions(note.id);
+        const latest = revisions[revisions.length - 1];
+        if (latest && latest.content === note.content) return;
+
+        const revision = {
+            id: this.generateId(),
+            noteId: note.id,
+            content: note.content,
+            timestamp: note.timestamp,
+            wordCount: note.wordCount
+        };
+        const expired = this.selectExpiredRevisions([...revisions, revision], Date.now());
+
+        const transaction = this.db.transaction(['revisions'], 'readwrite');
+        const store = transaction.objectStore('revisions');
+        store.put(revision);
+        expired.forEach(id => store.delete(id));
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    selectExpiredRevisions(revisions, now) {
+        const interval = this.settings.revisionInterval * 60 * 1000;
+        const recent = this.settings.revisionRecentHours * 60 * 60 * 1000;
+        const maxAge = this.settings.revisionMaxDays * 24 * 60 * 60 * 1000;
+
+        const keptBuckets = new Set();
+        const expired = [];
+
+        // Newest first, so the latest snapshot of each window is the one kept
+        for (const revision of [...revisions].reverse()) {
+            const time = new Date(revision.timestamp).getTime();
+            const age = now - time;
+
+            if (maxAge && age > maxAge) {
+                expired.push(revision.id);
+                continue;
+            }
+
+            // Everything inside the current window survives until the window closes
+            if (age < interval) continue;
+
+            const bucket = age < recent
+                ? `interval-${Math.floor(time / interval)}`
+                : `day-${new Date(time).toDateString()}`;
+
+            if (keptBuckets.has(bucket)) {
+                expired.push(revision.id);
+            } else {
+                keptBuckets.add(bucket);
+            }
+        }
+
+        return expired;
+    }
+
+    // ================================
+    // Save Functionality
+    // ================================
+
+    async saveLocal() {
+        const content = this.editor.value.trim();
+        if (!content) {
+            this.showNotification('Nothing to save', 'warning');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `note-${timestamp}.md`;
+        
+        const blob = new Blob([content], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+        this.showNotification('Note downloaded successfully', 'success');
+    }
+
+    async downloadNote(noteId) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const store = transaction.objectStore('notes');
+        const request = store.get(noteId);
+
+        request.onsuccess = () => {
+            const note = request.result;
+            if (note) {
+                const timestamp = new Date(note.timestamp).toISOString().replace(/[:.]/g, '-');
+                const filename = `note-${timestamp}.md`;
+                
+                const blob = new Blob([note.content], { type: 'text/markdown' });
+                const url = URL.createObjectURL(blob);
+                
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                a.click();
+                
+                URL.revokeObjectURL(url);
+                this.showNotification('Note downloaded successfully', 'success');
+            }
+        };
+    }
+
+    async saveToGitHub() {
+        try {
+            if (!this.requireGitHubToken()) return;
+
+            const content = this.editor.value;
+            if (!content.trim()) {
+                this.showNotification('Cannot save empty note', 'error');
+                return;
+            }
+
+            // Make sure the note exists locally so the job can be linked to it
+            await this.autosaveNote();
+
+            // Every GitHub save goes through the durable queue
+            const job = await this.enqueueNoteSync(this.currentNote);
+
+            if (navigator.onLine) {
+                this.showNotification('Saving to GitHub...', 'info');
+                await this.processSyncQueue({ force: true, jobIds: [job.id], source: 'save' });
+            } else {
+                this.showNotification('Offline: added to sync queue', 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to save to GitHub:', error);
+            this.showNotification(`GitHub save failed: ${error.message}`, 'error');
+        }
+    }
+
+    getTemplateVariables(note = null) {
+        const now = new Date();
+        const variables = {
+            now,
+            date: formatDate(now, 'YYYY-MM-DD'),
+            year: formatDate(now, 'YYYY'),
+            month: formatDate(now, 'MM'),
+            day: formatDate(now, 'DD'),
+            time: formatDate(now, 'HH-mm'),
+            timestamp: now.toISOString().replace(/[:.]/g, '-')
+        };
+
+        if (!note) return variables;
+
+        const title = note.title || this.generateTitle(note.content || '');
+        return {
+            ...variables,
+            title,
+            slug: slugify(title),
+            id: note.id,
+            wordCount: note.wordCount ?? this.countWords(note.content || ''),
+            tags: note.tags || [],
+            folder: note.folder || '',
+            created: new Date(note.createdAt || note.timestamp || now)
+        };
+    }
+
+    processTemplate(template, variables = {}) {
+        return renderTemplate(template, { ...this.getTemplateVariables(), ...variables });
+    }
+
+    updateTemplatePreview() {
+        // Resolve against whatever is in the editor right now
+        const content = this.editor.value;
+        const variables = this.getTemplateVariables({
+            ...this.currentNote,
+            id: this.currentNote.id || 'new-note-id',
+            content,
+            title: this.generateTitle(content),
+            wordCount: this.countWords(content)
+        });
+
+        const pathTemplate = document.getElementById('github-path').value || 'notes/{{date}}-{{slug}}.md';
+        const messageTemplate = document.getElementById('commit-message').value || 'Add note {{date}}';
+
+        document.getElementById('github-path-preview').textContent = this.cleanNotePath(renderTemplate(pathTemplate, variables));
+        document.getElementById('commit-message-preview').textContent = renderTemplate(messageTemplate, variables);
+    }
+
+    cleanNotePath(path) {
+        // An empty {{folder}} would otherwise leave notes//file.md
+        return path.replace(/\/{2,}/g, '/').replace(/^\//, '');
+    }
+
+    buildCommitContent(note) {
+        if (!this.github.frontMatter) return note.content;
+
+        // Unknown keys pulled from the repo (aliases, layout, ...) are written back untouched
+        return stringifyFrontMatter({
+            ...note.frontMatter,
+            id: note.id,
+            title: note.title,
+            created: note.createdAt || note.timestamp,
+            updated: note.timestamp,
+            wordCount: note.wordCount,
+            tags: note.tags || [],
+            folder: note.folder || undefined,
+            sessionDuration: Math.round(note.writingSeconds || 0) // seconds of active writing
+        }, note.content);
+    }
+
+    splitNoteContent(text) {
+        // Committed text -> note body plus the metadata fields stored on the record
+        const { data, body } = parseFrontMatter(text);
+        if (!data || Object.keys(data).length === 0) {
+            return { data: null, fields: { content: text } };
+        }
+
+        const { id, title, created, updated, wordCount, tags, folder, sessionDuration, ...extra } = data;
+        const fields = { content: body, frontMatter: extra };
+
+        if (created) {
+            fields.createdAt = String(created);
+        }
+        if (Array.isArray(tags) || typeof tags === 'string') {
+            // Tags that appear as #hashtags in the body are recovered from the text itself
+            const hashtags = extractHashtags(body);
+            fields.manualTags = (Array.isArray(tags) ? mergeTags(tags.filter(tag => tag !== null)) : parseTagList(tags))
+                .filter(tag => !hashtags.includes(tag));
+        }
+        if (typeof folder === 'string') {
+            fields.folder = normalizeFolder(folder);
+        }
+        if (Number.isFinite(sessionDuration)) {
+            fields.writingSeconds = sessionDuration;
+        }
+
+        return { data, fields };
+    }
+
+    async markNoteSynced(noteId, { path, sha, content, localContent = content }) {
+        const note = await this.getNote(noteId);
+        if (!note) return;
+
+        // The committed text may carry front matter; the record keeps only the body
+        const { fields } = this.splitNoteContent(content);
+        content = fields.content;
+
+        // baseContent is the remote text at `sha`, used to spot local edits later
+        Object.assign(note, {
+            ...fields,
+            path,
+            sha,
+            baseContent: content,
+            title: this.generateTitle(content),
+            wordCount: this.countWords(content),
+            syncedAt: new Date().toISOString()
+        });
+        await this.saveNoteToIndexedDB(note);
+
+        // Show the merged text if the note is open and untouched since the commit started
+        if (this.currentNote.id === noteId) {
+            const untouched = this.editor.value === localContent;
+            this.currentNote = untouched ? note : { ...note, content: this.editor.value };
+            if (untouched && this.editor.value !== content) {
+                this.editor.value = content;
+                this.updateWordCount();
+                this.schedulePreviewRender();
+            }
+        }
+    }
+
+    // ================================
+    // GitHub API Integration
+    // ================================
+
+    async createGitHubService() {
+        await this.refreshGitHubToken();
+        return new GitHubService(this.github.token, {
+            noteKey: this.noteKey,
+            encryptNotes: this.github.encryptNotes
+        });
+    }
+
+    getNotesDirectory(template = this.github.pathTemplate) {
+        // Everything before the first placeholder, up to the last slash
+        template = template || 'notes/{{date}}-{{slug}}.md';
+        const staticPart = template.split('{{')[0];
+        return staticPart.substring(0, staticPart.lastIndexOf('/') + 1).replace(/\/+$/, '');
+    }
+
+    async pullFromGitHub() {
+        if (!this.requireGitHubToken()) return;
+
+        if (!navigator.onLine) {
+            this.showNotification('No internet connection', 'error');
+            return;
+        }
+
+        const { owner, repo } = this.github;
+        const branch = this.github.branch || 'main';
+        this.showNotification('Pulling notes from GitHub...', 'info');
+        this.updateSyncIndicator('syncing');
+
+        try {
+            const githubService = await this.createGitHubService();
+            const files = (await githubService.listFiles(owner, repo, this.getNotesDirectory(), branch))
+                .filter(file => file.name.endsWith('.md') && file.name.toLowerCase() !== 'readme.md');
+
+            let created = 0;
+            let updated = 0;
+            let skipped = 0;
+
+            for (const file of files) {
+                const knownByPath = await this.getNoteByPath(file.path);
+
+                // Same blob as last time we synced, nothing to do
+                if (knownByPath && knownByPath.sha === file.sha) continue;
+
+                const remote = await githubService.getFile(owner, repo, file.path, branch);
+                const { data, fields } = this.splitNoteContent(remote.decodedContent || '');
+                const remoteContent = fields.content;
+                let content = remoteContent;
+
+                // Front matter ids match notes that were moved or renamed in the repo
+                const existing = knownByPath || (data?.id ? await this.getNote(String(data.id)) : null);
+
+                // Local edits since the last sync collide with the new remote blob
+                if (existing && existing.content !== remoteContent && existing.content !== existing.baseContent) {
+                    const merged = await this.openMergeView(file.path, existing.content, remoteContent);
+                    if (merged === null) {
+                        skipped++;
+                        continue;
+                    }
+                    content = merged;
+                }
+
+                const [lastCommit] = await githubService.listCommits(owner, repo, {
+                    path: file.path,
+                    branch,
+                    perPage: 1
+                });
+
+                const note = {
+                    ...existing,
+                    ...fields,
+                    id: existing ? existing.id : String(data?.id || this.generateId()),
+                    content,
+                    timestamp: lastCommit ? lastCommit.commit.committer.date : new Date().toISOString(),
+                    title: this.generateTitle(content),
+                    wordCount: this.countWords(content),
+                    path: file.path,
+                    sha: file.sha,
+                    baseContent: remoteContent
+                };
+
+                await this.saveNoteToIndexedDB(note);
+
+                // Refresh the editor if the open note was untouched locally
+                if (existing && this.currentNote.id === existing.id && this.editor.value === existing.content) {
+                    this.currentNote = note;
+                    this.editor.value = note.content;
+                    this.updateWordCount();
+                    this.schedulePreviewRender();
+                }
+
+                existing ? updated++ : created++;
+            }
+
+            this.showNotification(
+                created || updated
+                    ? `Pulled ${created} new and ${updated} updated notes`
+                    : 'Local notes are up to date',
+                'success'
+            );
+            if (skipped) {
+                this.showNotification(`${skipped} conflicting notes were left unmerged`, 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to pull from GitHub:', error);
+            this.showNotification(`GitHub pull failed: ${error.message}`, 'error');
+        } finally {
+            this.updateSyncIndicator(navigator.onLine ? 'online' : 'offline');
+        }
+    }
+
+    async testGitHubConnection() {
+        const token = document.getElementById('github-token').value;
+        const owner = document.getElementById('github-owner').value;
+        const repo = document.getElementById('github-repo').value;
+
+        if (!token || !owner || !repo) {
+            this.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        try {
+            const service = await this.createModalGitHubService();
+            const repoData = await service.getRepository(owner, repo);
+            this.showNotification(`Connected to ${repoData.full_name}`, 'success');
+            this.renderGitHubAccount();
+            this.loadBranches();
+
+            // Auto-fill branch if empty
+            if (!document.getElementById('github-branch').value) {
+                document.getElementById('github-branch').value = repoData.default_branch;
+            }
+        } catch (error) {
+            this.showNotification(`Connection failed: ${error.message}`, 'error');
+        }
+    }
+
+    async resolveJobBranch(job, githubService) {
+        // Get default branch if not specified
+        if (job.branch) return job.branch;
+
+        const repoData = await githubService.getRepository(job.owner, job.repo);
+        return repoData.default_branch;
+    }
+
+    async commitToGitHub(job) {
+        try {
+            const githubService = await this.createGitHubService();
+            const branch = await this.resolveJobBranch(job, githubService);
+
+            // Refuses to overwrite if the remote moved past job.baseSha
+            const result = await githubService.createOrUpdateFile(
+                job.owner,
+                job.repo,
+                job.path,
+                job.content,
+                job.commitMessage,
+                branch,
+                job.baseSha || null
+            );
+
+            return { success: true, data: result };
+        } catch (error) {
+            if (error instanceof GitHubConflictError) {
+                return { success: false, conflict: true, error: error.message, remote: error.remote };
+            }
+            return { success: false, error };
+        }
+    }
+
+    // ================================
+    // Sync Queue Management
+    // ================================
+
+    async enqueueNoteSync(note) {
+        const variables = this.getTemplateVariables(note);
+        const commitMessage = this.processTemplate(this.github.commitMessage, variables);
+        const now = new Date().toISOString();
+
+        // localContent is the editor body the job was created from, without front matter
+        const content = this.buildCommitContent(note);
+
+        // One pending job per note; saving again just refreshes its content
+        const pending = this.syncQueue.find(job => job.noteId === note.id && job.status === 'pending');
+        if (pending) {
+            const updates = {
+                content,
+                localContent: note.content,
+                commitMessage,
+                nextAttemptAt: null,
+                updatedAt: now
+            };
+            await this.updateQueueJob(pending.id, updates);
+            await this.loadSyncQueue();
+            return { ...pending, ...updates };
+        }
+
+        const job = {
+            id: this.generateId(),
+            type: 'github',
+            status: 'pending',
+            noteId: note.id,
+            owner: this.github.owner,
+            repo: this.github.repo,
+            branch: this.github.branch,
+            path: note.path || this.cleanNotePath(this.processTemplate(this.github.pathTemplate, variables)),
+            content,
+            localContent: note.content,
+            commitMessage,
+            baseSha: note.sha || null,
+            attempts: 0,
+            maxAttempts: this.settings.syncMaxAttempts,
+            nextAttemptAt: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.addToSyncQueue(job);
+        return job;
+    }
+
+    async addToSyncQueue(job) {
+        const transaction = this.db.transaction(['queue'], 'readwrite');
+        const store = transaction.objectStore('queue');
+        
+        await new Promise((resolve, reject) => {
+            const request = store.put(job);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        await this.loadSyncQueue();
+        this.requestBackgroundSync();
+    }
+
+    async requestBackgroundSync() {
+        if (!this.backgroundSyncSupported) return false;
+
+        try {
+            await this.swRegistration.sync.register('github-sync');
+            return true;
+        } catch (error) {
+            // Permission denied or unsupported in this context; the online handler covers it
+            console.warn('Background sync registration failed:', error);
+            return false;
+        }
+    }
+
+    async handleServiceWorkerMessage(event) {
+        const { type, data } = event.data || {};
+        if (type !== 'BACKGROUND_SYNC' || data?.action !== 'processSyncQueue') return;
+
+        clearTimeout(this.onlineFallbackTimeout);
+        await this.loadSyncQueue();
+        await this.processSyncQueue({ source: 'background-sync' });
+
+        // Tell the worker whether anything is left so the browser can retry later
+        const remaining = this.syncQueue.filter(job => job.status === 'pending').length;
+        if (event.ports[0]) {
+            event.ports[0].postMessage({ remaining });
+        }
+    }
+
+    describeSyncSource(source) {
+        const labels = {
+            'background-sync': 'background sync',
+            online: 'reconnect',
+            startup: 'startup',
+            retry: 'scheduled retry',
+            save: 'save',
+            unlock: 'unlock',
+            goal: 'daily goal',
+            manual: 'manual sync'
+        };
+        return labels[source] || source;
+    }
+
+    async loadSyncQueue() {
+        if (!this.db) return;
+
+        const transaction = this.db.transaction(['queue'], 'readonly');
+        const store = transaction.objectStore('queue');
+        const request = store.getAll();
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                this.syncQueue = request.result;
+                this.updateSyncUI();
+                this.scheduleQueueRetry();
+                resolve(this.syncQueue);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async processSyncQueue({ force = false, jobIds = null, source = 'manual' } = {}) {
+        if (this.isSyncing) {
+            // Pick up whatever was queued meanwhile once this run finishes
+            this.syncRequested = source;
+            return;
+        }
+        if (!navigator.onLine) return;
+
+        // Locked or not connected: jobs wait until the token is available
+        if (!this.github.token) return;
+
+        // 'syncing' jobs outside a run were interrupted by a reload
+        const now = Date.now();
+        const dueJobs = this.syncQueue.filter(job =>
+            (job.status === 'pending' || job.status === 'syncing') &&
+            (!jobIds || jobIds.includes(job.id)) &&
+            (force || !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now)
+        );
+        if (dueJobs.length === 0) return;
+
+        this.isSyncing = true;
+        this.syncNotices = new Set();
+        this.updateSyncIndicator('syncing');
+
+        // Jobs can be edited or dropped from the queue panel while the run is going
+        try {
+            if (this.github.batchSync && dueJobs.length > 1) {
+                // Conflicting or duplicate-path jobs fall back to one commit each
+                for (const group of this.groupJobsForBatch(dueJobs)) {
+                    const batch = (await Promise.all(group.batch.map(job => this.getQueueJob(job.id)))).filter(Boolean);
+                    const leftovers = batch.length > 0 ? await this.syncJobBatch(batch, source) : [];
+                    for (const job of [...leftovers, ...group.rest]) {
+                        await this.syncQueuedJob(job.id, source);
+                    }
+                }
+            } else {
+                for (const job of dueJobs) {
+                    await this.syncQueuedJob(job.id, source);
+                }
+            }
+        } finally {
+            this.isSyncing = false;
+            await this.loadSyncQueue();
+            this.updateSyncIndicator(navigator.onLine ? 'online' : 'offline');
+        }
+
+        if (this.syncRequested) {
+            const requestedBy = this.syncRequested;
+            this.syncRequested = false;
+            await this.processSyncQueue({ source: requestedBy });
+        }
+    }
+
+    async syncQueuedJob(jobId, source) {
+        // Sync the stored job, not the copy the run started with
+        const job = await this.getQueueJob(jobId);
+        if (!job) return;
+
+        try {
+            await this.syncJob(job, source);
+        } catch (error) {
+            // Dropped while it was waiting on the merge view
+            if (await this.getQueueJob(jobId)) throw error;
+        }
+    }
+
+    async syncJob(job, source) {
+        await this.updateQueueJob(job.id, { status: 'syncing' });
+        await this.rebaseQueueJob(job);
+
+        let result = await this.commitToGitHub(job);
+
+        // Stop and let the user merge before committing on the new parent
+        while (result.conflict) {
+            const merged = await this.openMergeView(job.path, job.content, result.remote.decodedContent || '');
+            if (merged === null) break;
+
+            const updates = {
+                content: merged,
+                baseSha: result.remote.sha,
+                localContent: job.localContent ?? job.content,
+                resolvedAt: new Date().toISOString()
+            };
+            Object.assign(job, updates);
+            await this.updateQueueJob(job.id, updates);
+            result = await this.commitToGitHub(job);
+        }
+        
+        if (result.success) {
+            await this.completeJob(job, result.data.content.sha, source);
+            this.showNotification(
+                result.data.unchanged
+                    ? 'Already up to date on GitHub'
+                    : `Note synced to GitHub (${this.describeSyncSource(source)})`,
+                'success'
+            );
+        } else if (result.conflict) {
+            await this.updateQueueJob(job.id, { status: 'conflict', error: result.error });
+            this.showNotification(`Sync paused: ${result.error}`, 'warning');
+        } else {
+            await this.recordJobFailure(job, result.error);
+        }
+    }
+
+    groupJobsForBatch(jobs) {
+        // One batch per repo and branch; a path can only appear once in a tree
+        const groups = new Map();
+
+        for (const job of jobs) {
+            const key = `${job.owner}/${job.repo}#${job.branch || ''}`;
+            if (!groups.has(key)) {
+                groups.set(key, { batch: [], rest: [], paths: new Set() });
+            }
+
+            const group = groups.get(key);
+            if (group.paths.has(job.path)) {
+                group.rest.push(job);
+            } else {
+                group.paths.add(job.path);
+                group.batch.push(job);
+            }
+        }
+
+        return [...groups.values()];
+    }
+
+    async syncJobBatch(jobs, source) {
+        for (const job of jobs) {
+            await this.updateQueueJob(job.id, { status: 'syncing' });
+            await this.rebaseQueueJob(job);
+        }
+
+        try {
+            const [first] = jobs;
+            const githubService = await this.createGitHubService();
+            const branch = await this.resolveJobBranch(first, githubService);
+
+            const result = await githubService.commitFiles(
+                first.owner,
+                first.repo,
+                branch,
+                jobs.map(job => ({
+                    jobId: job.id,
+                    path: job.path,
+                    content: job.content,
+                    // The committed body may start with front matter, so title the plain note
+                    title: this.generateTitle(job.localContent ?? job.content),
+                    baseSha: job.baseSha || null
+                })),
+                files => this.renderBatchCommitMessage(files)
+            );
+
+            for (const file of [...result.committed, ...result.unchanged]) {
+                await this.completeJob(jobs.find(job => job.id === file.jobId), file.sha, source);
+            }
+
+            if (result.committed.length > 0) {
+                this.showNotification(
+                    `Synced ${result.committed.length} notes in one commit (${this.describeSyncSource(source)})`,
+                    'success'
+                );
+            }
+
+            return jobs.filter(job => result.conflicts.some(file => file.jobId === job.id));
+        } catch (error) {
+            console.error('Batched sync failed:', error);
+            for (const job of jobs) {
+                await this.recordJobFailure(job, error);
+            }
+            return [];
+        }
+    }
+
+    renderBatchCommitMessage(files) {
+        // Titles are note content, so encrypted repos only list paths
+        const notes = files
+            .map(file => this.github.encryptNotes ? `- ${file.path}` : `- ${file.title} (${file.path})`)
+            .join('\n');
+
+        return this.processTemplate(
+            this.github.batchCommitMessage || 'Sync {{count}} notes\n\n{{notes}}',
+            { count: files.length, notes }
+        );
+    }
+
+    async completeJob(job, sha, source) {
+        await this.updateQueueJob(job.id, {
+            status: 'completed',
+            error: null,
+            flushedBy: source,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (job.noteId) {
+            await this.markNoteSynced(job.noteId, {
+                path: job.path,
+                sha,
+                content: job.content,
+                localContent: job.localContent ?? job.content
+            });
+        }
+    }
+
+    async rebaseQueueJob(job) {
+        // A sync of the same note may have landed after this job was queued or merged
+        if (!job.noteId) return;
+
+        const note = await this.getNote(job.noteId);
+        if (!note || !note.syncedAt || note.syncedAt <= (job.resolvedAt || job.createdAt)) return;
+
+        job.baseSha = note.sha;
+        if (!job.pathEdited) {
+            job.path = note.path;
+        }
+    }
+
+    async recordJobFailure(job, failure) {
+        const error = failure.message;
+        const updatedAt = new Date().toISOString();
+
+        // Rate limits say when to come back and don't use up attempts
+        if (failure.retryAt) {
+            await this.updateQueueJob(job.id, {
+                status: 'pending',
+                error,
+                nextAttemptAt: new Date(failure.retryAt + 1000).toISOString(),
+                updatedAt
+            });
+            this.showSyncNotice(error, 'warning');
+            return;
+        }
+
+        // Retrying can't fix these: the token, or the job's repo, path or branch has to change
+        if (failure.type === 'auth') {
+            await this.updateQueueJob(job.id, { status: 'pending', error, nextAttemptAt: null, updatedAt });
+            this.showSyncNotice(error, 'error');
+            return;
+        }
+        if (failure.type === 'permission' || failure.type === 'not-found') {
+            await this.updateQueueJob(job.id, { status: 'failed', error, nextAttemptAt: null, updatedAt });
+            this.showSyncNotice(`Sync failed: ${error}`, 'error');
+            return;
+        }
+
+        // Network, server and other errors back off and retry
+        const attempts = (job.attempts || 0) + 1;
+        const maxAttempts = job.maxAttempts || this.settings.syncMaxAttempts;
+
+        if (attempts >= maxAttempts) {
+            await this.updateQueueJob(job.id, { status: 'failed', attempts, error, nextAttemptAt: null, updatedAt });
+            this.showNotification(`Sync failed after ${attempts} attempts: ${error}`, 'error');
+            return;
+        }
+
+        const delay = this.getRetryDelay(attempts);
+        await this.updateQueueJob(job.id, {
+            status: 'pending',
+            attempts,
+            error,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            updatedAt
+        });
+        this.showNotification(`Sync failed, retrying in ${Math.round(delay / 1000)}s: ${error}`, 'warning');
+
+        // Offline failures should also be retried by the worker once the network is back
+        if (!navigator.onLine) {
+            this.requestBackgroundSync();
+        }
+    }
+
+    showSyncNotice(message, type) {
+        // Every job in a run tends to fail the same way; say it once per run
+        if (this.syncNotices.has(message)) return;
+        this.syncNotices.add(message);
+        this.showNotification(message, type);
+    }
+
+    getRetryDelay(attempts) {
+        // Exponential backoff capped at an hour, with jitter so jobs don't retry in lockstep
+        const base = this.settings.syncRetryDelay * 1000;
+        const delay = Math.min(base * 2 ** (attempts - 1), 60 * 60 * 1000);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    scheduleQueueRetry() {
+        clearTimeout(this.retryTimeout);
+
+        const retryTimes = this.syncQueue
+            .filter(job => job.status === 'pending' && job.nextAttemptAt)
+            .map(job => new Date(job.nextAttemptAt).getTime());
+        if (retryTimes.length === 0) return;
+
+        const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+        this.retryTimeout = setTimeout(() => this.processSyncQueue({ source: 'retry' }), delay);
+    }
+
+    async updateQueueJob(jobId, updates) {
+        const transaction = this.db.transaction(['queue'], 'readwrite');
+        const store = transaction.objectStore('queue');
+        const getRequest = store.get(jobId);
+
+        return new Promise((resolve, reject) => {
+            getRequest.onsuccess = () => {
+                const job = getRequest.result;
+                if (job) {
+                    Object.assign(job, updates);
+                    const putRequest = store.put(job);
+                    putRequest.onsuccess = () => resolve();
+                    putRequest.onerror = () => reject(putRequest.error);
+                } else {
+                    reject(new Error('Job not found'));
+                }
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
+    async getQueueJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(['queue'], 'readonly').objectStore('queue').get(jobId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteQueueJob(jobId) {
+        const transaction = this.db.transaction(['queue'], 'readwrite');
+        const store = transaction.objectStore('queue');
+
+        return new Promise((resolve, reject) => {
+            const request = store.delete(jobId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearCompletedJobs() {
+        const transaction = this.db.transaction(['queue'], 'readwrite');
+        const store = transaction.objectStore('queue');
+        const index = store.index('status');
+        const request = index.getAll('completed');
+
+        request.onsuccess = () => {
+            const completedJobs = request.result;
+            completedJobs.forEach(job => {
+                store.delete(job.id);
+            });
+            this.loadSyncQueue();
+        };
+    }
+
+    updateSyncUI() {
+        const pendingJobs = this.syncQueue.filter(job => job.status === 'pending' || job.status === 'syncing');
+        const stuckJobs = this.syncQueue.filter(job => job.status === 'failed' || job.status === 'conflict');
+        const queueInfo = document.getElementById('queue-info');
+
+        if (pendingJobs.length > 0) {
+            this.queueCount.textContent = pendingJobs.length;
+            this.queueCount.classList.remove('hidden');
+            queueInfo.textContent = `${pendingJobs.length} notes pending sync`;
+        } else {
+            this.queueCount.classList.add('hidden');
+            queueInfo.textContent = 'No pending syncs';
+        }
+
+        if (stuckJobs.length > 0) {
+            queueInfo.textContent += `, ${stuckJobs.length} need attention`;
+        }
+
+        this.renderQueuePanel();
+        this.refreshNoteRowStatus();
+    }
+
+    renderQueuePanel() {
+        const panel = document.getElementById('queue-panel');
+        const list = document.getElementById('queue-list');
+        // Completed jobs stay listed until the periodic cleanup, showing how they were flushed
+        const jobs = [...this.syncQueue].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        panel.classList.toggle('hidden', jobs.length === 0);
+
+        // Built with DOM APIs: paths and errors come from user input and GitHub
+        list.replaceChildren(...jobs.map(job => {
+            const item = document.createElement('div');
+            item.className = `queue-item ${job.status}`;
+            item.dataset.jobId = job.id;
+
+            const header = document.createElement('div');
+            header.className = 'queue-item-header';
+            const path = document.createElement('span');
+            path.className = 'queue-path';
+            path.textContent = job.path;
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = job.status;
+            header.append(path, status);
+
+            const detail = document.createElement('div');
+            detail.className = 'queue-detail';
+            const parts = job.status === 'completed'
+                ? [`Synced at ${new Date(job.updatedAt).toLocaleTimeString([], {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                })} via ${this.describeSyncSource(job.flushedBy)}`]
+                : [`Attempt ${job.attempts || 0}/${job.maxAttempts || this.settings.syncMaxAttempts}`];
+            if (job.status === 'pending' && job.nextAttemptAt) {
+                parts.push(`retry at ${new Date(job.nextAttemptAt).toLocaleTimeString([], {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                })}`);
+            }
+            if (job.error) {
+                parts.push(job.error);
+            }
+            detail.textContent = parts.join(' · ');
+
+            item.append(header, detail);
+            if (job.status === 'completed') {
+                return item;
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'note-actions';
+            for (const [action, label, style] of [
+                ['retry', 'Retry', ''],
+                ['edit', 'Edit', ''],
+                ['drop', 'Drop', 'btn-danger']
+            ]) {
+                const button = document.createElement('button');
+                button.className = `btn btn-small ${style}`.trim();
+                button.dataset.action = action;
+                button.textContent = label;
+                button.disabled = job.status === 'syncing';
+                actions.appendChild(button);
+            }
+
+            item.appendChild(actions);
+            return item;
+        }));
+    }
+
+    handleQueueAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const jobId = button.closest('[data-job-id]').dataset.jobId;
+        switch (button.dataset.action) {
+            case 'retry':
+                this.retryJob(jobId);
+                break;
+            case 'edit':
+                this.editJob(jobId);
+                break;
+            case 'drop':
+                this.dropJob(jobId);
+                break;
+        }
+    }
+
+    async retryJob(jobId) {
+        await this.updateQueueJob(jobId, { status: 'pending', attempts: 0, nextAttemptAt: null, error: null });
+        await this.loadSyncQueue();
+
+        if (!navigator.onLine) {
+            this.showNotification('Offline: job will retry when back online', 'warning');
+            return;
+        }
+        await this.processSyncQueue({ force: true, jobIds: [jobId], source: 'manual' });
+    }
+
+    editJob(jobId) {
+        const job = this.syncQueue.find(j => j.id === jobId);
+        if (!job) return;
+
+        this.editingJobId = jobId;
+        document.getElementById('job-path').value = job.path;
+        document.getElementById('job-branch').value = job.branch || '';
+        document.getElementById('job-message').value = job.commitMessage;
+        this.openModal('job-modal');
+    }
+
+    async saveJobEdits() {
+        const job = this.syncQueue.find(j => j.id === this.editingJobId);
+        if (!job) return;
+
+        const path = document.getElementById('job-path').value.trim();
+        const commitMessage = document.getElementById('job-message').value.trim();
+        if (!path || !commitMessage) {
+            this.showNotification('Path and commit message are required', 'error');
+            return;
+        }
+
+        const updates = {
+            branch: document.getElementById('job-branch').value.trim(),
+            commitMessage,
+            updatedAt: new Date().toISOString()
+        };
+
+        // A new path is a different file, so the old parent SHA no longer applies
+        if (path !== job.path) {
+            Object.assign(updates, { path, pathEdited: true, baseSha: null });
+        }
+
+        await this.updateQueueJob(job.id, updates);
+        await this.loadSyncQueue();
+        this.editingJobId = null;
+        this.closeModal('job-modal');
+        this.showNotification('Sync job updated', 'success');
+    }
+
+    async dropJob(jobId) {
+        if (!confirm('Drop this sync job? The note stays in your local history.')) return;
+
+        await this.deleteQueueJob(jobId);
+        await this.loadSyncQueue();
+        this.showNotification('Sync job dropped', 'success');
+    }
+
+    isNoteQueued(noteId) {
+        return this.syncQueue.some(job => 
+            job.noteId === noteId && (job.status === 'pending' || job.status === 'syncing')
+        );
+    }
+
+    // ================================
+    // Note History
+    // ================================
+
+    async openNoteHistory(noteId) {
+        const note = await this.getNote(noteId);
+        if (!note) return;
+
+        this.historyState = {
+            note,
+            source: 'local',
+            entries: [],
+            contents: new Map(),
+            page: 1,
+            hasMore: false,
+            selected: null,
+            mode: 'preview'
+        };
+
+        document.getElementById('history-path').textContent = note.path || note.title;
+        document.getElementById('history-tab-github').disabled = !note.path;
+        this.openModal('history-modal');
+
+        await this.loadHistoryEntries();
+    }
+
+    async switchHistorySource(source) {
+        const state = this.historyState;
+        if (!state || state.source === source) return;
+
+        if (source === 'github' && !this.github.token) {
+            this.closeModal('history-modal');
+            this.requireGitHubToken();
+            return;
+        }
+
+        Object.assign(state, {
+            source,
+            entries: [],
+            contents: new Map(),
+            page: 1,
+            hasMore: false,
+            selected: null
+        });
+        await this.loadHistoryEntries();
+    }
+
+    async loadHistoryEntries() {
+        const state = this.historyState;
+        if (!state) return;
+
+        document.getElementById('history-tab-local').classList.toggle('btn-primary', state.source === 'local');
+        document.getElementById('history-tab-github').classList.toggle('btn-primary', state.source === 'github');
+        this.renderHistoryPreview();
+
+        try {
+            if (state.source === 'local') {
+                const revisions = (await this.getRevisions(state.note.id)).reverse();
+                state.entries = revisions.map(revision => ({
+                    id: revision.id,
+                    date: revision.timestamp,
+                    label: `${revision.wordCount || 0} words`,
+                    code: ''
+                }));
+                revisions.forEach(revision => state.contents.set(revision.id, revision.content));
+            } else {
+                await this.loadGitHubHistoryPage();
+            }
+        } catch (error) {
+            console.error('Failed to load note history:', error);
+            this.showNotification(`Could not load history: ${error.message}`, 'error');
+        }
+
+        this.renderHistoryEntries();
+        if (!state.selected && state.entries.length > 0) {
+            this.selectHistoryEntry(state.entries[0].id);
+        }
+    }
+
+    async loadGitHubHistoryPage() {
+        const state = this.historyState;
+        const perPage = 30;
+        const githubService = await this.createGitHubService();
+
+        const commits = await githubService.listCommits(this.github.owner, this.github.repo, {
+            path: state.note.path,
+            branch: this.github.branch || 'main',
+            perPage,
+            page: state.page
+        });
+
+        state.entries.push(...commits.map(commit => ({
+            id: commit.sha,
+            date: commit.commit.committer.date,
+            label: commit.commit.message.split('\n')[0],
+            code: commit.sha.substring(0, 7)
+        })));
+        state.page++;
+        state.hasMore = commits.length === perPage;
+    }
+
+    async loadMoreHistory() {
+        try {
+            await this.loadGitHubHistoryPage();
+        } catch (error) {
+            this.showNotification(`Could not load history: ${error.message}`, 'error');
+        }
+        this.renderHistoryEntries();
+    }
+
+    renderHistoryEntries() {
+        const state = this.historyState;
+        const list = document.getElementById('history-commits');
+        const items = [];
+        let currentDay = null;
+
+        // Timeline grouped by day, newest first
+        for (const entry of state.entries) {
+            const day = new Date(entry.date).toLocaleDateString([], { dateStyle: 'medium' });
+            if (day !== currentDay) {
+                const heading = document.createElement('div');
+                heading.className = 'history-day';
+                heading.textContent = day;
+                items.push(heading);
+                currentDay = day;
+            }
+
+            const item = document.createElement('div');
+            item.className = 'history-commit';
+            item.classList.toggle('selected', entry.id === state.selected);
+            item.dataset.entryId = entry.id;
+
+            const meta = document.createElement('div');
+            meta.className = 'note-meta';
+            const time = document.createElement('span');
+            time.textContent = new Date(entry.date).toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            const code = document.createElement('code');
+            code.textContent = entry.code;
+            meta.append(time, code);
+
+            const label = document.createElement('div');
+            label.className = 'history-message';
+            label.textContent = entry.label;
+
+            item.append(meta, label);
+            items.push(item);
+        }
+
+        if (state.entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = state.source === 'local'
+                ? 'No local snapshots yet.'
+                : 'No commits found for this file.';
+            items.push(empty);
+        }
+
+        list.replaceChildren(...items);
+        document.getElementById('history-load-more').classList.toggle('hidden', !state.hasMore);
+    }
+
+    handleHistoryEntryClick(e) {
+        const item = e.target.closest('[data-entry-id]');
+        if (item) {
+            this.selectHistoryEntry(item.dataset.entryId);
+        }
+    }
+
+    async selectHistoryEntry(entryId) {
+        const state = this.historyState;
+        state.selected = entryId;
+        this.renderHistoryEntries();
+
+        // Local snapshots are already loaded; commits are fetched on demand
+        if (!state.contents.has(entryId)) {
+            this.renderHistoryPreview();
+            try {
+                const githubService = await this.createGitHubService();
+                const file = await githubService.getFile(this.github.owner, this.github.repo, state.note.path, entryId);
+                state.contents.set(entryId, this.splitNoteContent(file.decodedContent || '').fields.content);
+            } catch (error) {
+                this.showNotification(`Could not load revision ${entryId.substring(0, 7)}: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        // Ignore responses for a revision the user already clicked away from
+        if (state.selected === entryId) {
+            this.renderHistoryPreview();
+        }
+    }
+
+    setHistoryMode(mode) {
+        if (!this.historyState) return;
+
+        this.historyState.mode = mode;
+        this.renderHistoryPreview();
+    }
+
+    getHistoryComparisonText() {
+        // The live editor text when this note is open, otherwise its last local version
+        const { note } = this.historyState;
+        return this.currentNote.id === note.id ? this.editor.value : note.content;
+    }
+
+    renderHistoryPreview() {
+        const state = this.historyState;
+        const pane = document.getElementById('history-preview');
+        const content = state?.contents.get(state.selected);
+
+        document.getElementById('history-show-preview').classList.toggle('btn-primary', state?.mode === 'preview');
+        document.getElementById('history-show-diff').classList.toggle('btn-primary', state?.mode === 'diff');
+        document.getElementById('history-restore').disabled = content === undefined;
+
+        if (content === undefined) {
+            pane.replaceChildren();
+            pane.textContent = state?.selected ? 'Loading version...' : 'Select a version to preview it.';
+            return;
+        }
+
+        if (state.mode === 'preview') {
+            pane.replaceChildren();
+            pane.textContent = content;
+            return;
+        }
+
+        // Removed lines exist only in the old version, added lines only in the current text
+        pane.replaceChildren(...diffLines(content, this.getHistoryComparisonText()).map(op => {
+            const line = document.createElement('div');
+            const prefix = { equal: '  ', removed: '- ', added: '+ ' }[op.type];
+
+            line.className = `diff-line ${op.type === 'equal' ? '' : op.type}`.trim();
+            line.textContent = prefix + op.line;
+            return line;
+        }));
+    }
+
+    async restoreHistoryRevision() {
+        const state = this.historyState;
+        const content = state?.contents.get(state.selected);
+        if (content === undefined) return;
+
+        if (this.currentNote.id !== state.note.id) {
+            await this.loadNote(state.note.id);
+        }
+
+        // Restored text becomes a new local version on top of the note's current sync state
+        this.editor.value = content;
+        this.currentNote.content = content;
+        this.updateWordCount();
+        this.schedulePreviewRender();
+        await this.autosaveNote();
+
+        const label = state.source === 'github' ? state.selected.substring(0, 7) : 'snapshot';
+        this.closeModal('history-modal');
+        this.showNotification(`Restored ${label}`, 'success');
+    }
+
+    // ================================
+    // Timer Functionality
+    // ================================
+
+    toggleTimer() {
+        if (!this.timerState.isRunning) {
+            this.startTimer();
+        } else if (this.timerState.isPaused) {
+            this.resumeTimer();
+        } else {
+            this.pauseTimer();
+        }
+    }
+
+    startTimer() {
+        this.timerState.isRunning = true;
+        this.timerState.cycle = 1;
+        this.chime.prime();
+        this.timer.classList.remove('hidden');
+        document.getElementById('timer-stop').classList.remove('hidden');
+
+        this.startPhase('work');
+    }
+
+    getPhaseSeconds(phase) {
+        const minutes = {
+            work: this.settings.timerDuration,
+            break: this.settings.breakMinutes,
+            'long-break': this.settings.longBreakMinutes
+        };
+        return minutes[phase] * 60;
+    }
+
+    startPhase(phase, timeLeft = this.getPhaseSeconds(phase)) {
+        const state = this.timerState;
+        state.phase = phase;
+        state.isPaused = false;
+        state.timeLeft = timeLeft;
+
+        this.timer.classList.remove('warning', 'danger', 'paused');
+        this.timer.classList.toggle('break', phase !== 'work');
+        this.applyViewMode(); // back to the bare editor for work phases
+        this.runCountdown();
+
+        // Ambient sound, the freewrite lock and session records belong to work phases only
+        if (phase === 'work') {
+            this.startFreewriteSession();
+            this.startSessionRecord();
+            this.ambient.play();
+        } else {
+            this.ambient.stop();
+        }
+    }
+
+    runCountdown() {
+        const state = this.timerState;
+        clearInterval(state.interval);
+
+        state.endsAt = Date.now() + state.timeLeft * 1000;
+        state.interval = setInterval(() => {
+            // Counted from the end time, so throttled background tabs don't drift
+            state.timeLeft = Math.max(0, Math.round((state.endsAt - Date.now()) / 1000));
+            this.updateTimerDisplay();
+
+            if (state.timeLeft <= 0) {
+                this.phaseFinished();
+            }
+        }, 1000);
+
+        this.updateTimerDisplay();
+        this.saveTimerState();
+    }
+
+    pauseTimer() {
+        const state = this.timerState;
+        clearInterval(state.interval);
+        state.timeLeft = Math.max(0, Math.round((state.endsAt - Date.now()) / 1000));
+        state.isPaused = true;
+        state.endsAt = null;
+
+        this.timer.classList.add('paused');
+        this.ambient.stop();
+        this.endFreewriteSession();
+        this.pauseSessionRecord();
+        this.applyViewMode();
+        this.updateTimerDisplay();
+        this.saveTimerState();
+    }
+
+    resumeTimer() {
+        const state = this.timerState;
+        state.isPaused = false;
+
+        this.chime.prime();
+        this.timer.classList.remove('paused');
+        this.applyViewMode();
+        this.runCountdown();
+
+        if (state.phase === 'work') {
+            this.startFreewriteSession();
+            this.resumeSessionRecord();
+            this.ambient.play();
+        }
+    }
+
+    stopTimer({ completed = false } = {}) {
+        const state = this.timerState;
+        state.isRunning = false;
+        state.isPaused = false;
+        state.phase = 'work';
+        state.endsAt = null;
+        clearInterval(state.interval);
+        localStorage.removeItem('gitwrite-timer');
+
+        this.timer.classList.add('hidden');
+        this.timer.classList.remove('warning', 'danger', 'paused', 'break');
+        document.getElementById('timer-stop').classList.add('hidden');
+        this.applyViewMode();
+        this.endFreewriteSession();
+        this.finishSessionRecord(completed);
+        this.updateTimerToggle();
+
+        this.ambient.stop(); // Stop ambient sound when timer stops
+    }
+
+    phaseFinished() {
+        const state = this.timerState;
+        clearInterval(state.interval);
+
+        if (state.phase !== 'work') {
+            state.cycle++;
+            this.playChime('work');
+            this.showNotification(`Break over: sprint ${state.cycle} of ${this.settings.pomodoroCycles}`, 'info');
+            this.startPhase('work');
+            return;
+        }
+
+        if (this.settings.timerMode !== 'pomodoro' || state.cycle >= this.settings.pomodoroCycles) {
+            this.timerFinished();
+            return;
+        }
+
+        // Each sprint is recorded as its own session
+        this.endFreewriteSession();
+        this.finishSessionRecord(true);
+
+        const phase = state.cycle % this.settings.longBreakEvery === 0 ? 'long-break' : 'break';
+        const minutes = this.getPhaseSeconds(phase) / 60;
+        this.playChime('break');
+        this.showNotification(
+            phase === 'long-break'
+                ? `Sprint ${state.cycle} done. Long break: ${minutes} minutes`
+                : `Sprint ${state.cycle} done. Take ${minutes} minutes`,
+            'success'
+        );
+        this.startPhase(phase);
+    }
+
+    playChime(kind) {
+        if (this.settings.chimeEnabled) {
+            this.chime.play(kind);
+        }
+    }
+
+    updateTimerDisplay() {
+        const state = this.timerState;
+        const minutes = Math.floor(state.timeLeft / 60);
+        const seconds = state.timeLeft % 60;
+        const labels = { break: 'Break', 'long-break': 'Long break' };
+        let display = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+
+        if (state.phase !== 'work') {
+            display = `${labels[state.phase]} ${display}`;
+        } else if (this.settings.timerMode === 'pomodoro') {
+            display = `${state.cycle}/${this.settings.pomodoroCycles} ${display}`;
+        }
+        if (state.isPaused) {
+            display += ' (paused)';
+        }
+        this.timer.textContent = display;
+
+        // Visual feedback for time remaining in a work phase
+        if (state.phase === 'work' && state.timeLeft <= 60) {
+            this.timer.classList.add('danger');
+        } else if (state.phase === 'work' && state.timeLeft <= 300) {
+            this.timer.classList.add('warning');
+        }
+
+        this.updateTimerToggle();
+    }
+
+    updateTimerToggle() {
+        const state = this.timerState;
+        const toggle = document.getElementById('timer-toggle');
+        toggle.classList.toggle('active', state.isRunning && !state.isPaused);
+
+        if (!state.isRunning) {
+            toggle.title = 'Start Timer';
+        } else {
+            toggle.title = state.isPaused ? 'Resume Timer' : 'Pause Timer';
+        }
+    }
+
+    saveTimerState() {
+        // Enough to pick the countdown back up after a reload
+        const { phase, cycle, isPaused, timeLeft, endsAt } = this.timerState;
+        localStorage.setItem('gitwrite-timer', JSON.stringify({ phase, cycle, isPaused, timeLeft, endsAt }));
+    }
+
+    restoreTimer() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('gitwrite-timer'));
+        } catch (error) {
+            localStorage.removeItem('gitwrite-timer');
+        }
+        if (!saved) return;
+
+        // A phase that ran out while the page was closed can't be recorded honestly:
+        // its session record didn't survive the reload, so drop it instead of ticking once
+        if (!saved.isPaused && saved.endsAt <= Date.now()) {
+            localStorage.removeItem('gitwrite-timer');
+            this.showNotification('The timer ran out while GitWrite was closed', 'info');
+            return;
+        }
+
+        const state = this.timerState;
+        state.isRunning = true;
+        state.cycle = saved.cycle;
+        this.timer.classList.remove('hidden');
+        document.getElementById('timer-stop').classList.remove('hidden');
+
+        if (saved.isPaused) {
+            // The work phase's session record starts again on resume
+            state.phase = saved.phase;
+            state.isPaused = true;
+            state.timeLeft = saved.timeLeft;
+            this.timer.classList.add('paused');
+            this.timer.classList.toggle('break', saved.phase !== 'work');
+            this.updateTimerDisplay();
+            return;
+        }
+
+        this.startPhase(saved.phase, Math.ceil((saved.endsAt - Date.now()) / 1000));
+    }
+
+    timerFinished() {
+        // Stopping records the session and saves the note it was written in
+        this.playChime('done');
+        this.stopTimer({ completed: true });
+        this.showNotification('Timer finished! Great job writing!', 'success');
+    }
+
+    // ================================
+    // Freewrite Sessions
+    // ================================
+
+    startFreewriteSession() {
+        const mode = this.settings.freewriteMode;
+        if (mode === 'off') return;
+
+        // Text written before the session is what keep-going falls back to
+        this.freewriteSession = {
+            mode,
+            baseline: this.editor.value,
+            lastInputAt: Date.now(),
+            fadeInterval: null
+        };
+        this.editorContainer.classList.add('freewrite-locked');
+        this.pinCaretToEnd();
+
+        if (mode === 'keep-going') {
+            clearTimeout(this.autosaveTimeout);
+            this.freewriteSession.fadeInterval = setInterval(() => this.updateFreewriteFade(), 250);
+            this.showNotification(`Keep going: text fades after ${this.settings.keepGoingSeconds}s without typing`, 'info');
+        } else {
+            this.showNotification('Strict mode: no editing until the timer ends', 'info');
+        }
+    }
+
+    endFreewriteSession() {
+        const session = this.freewriteSession;
+        if (!session) return;
+
+        clearInterval(session.fadeInterval);
+        this.freewriteSession = null;
+        this.editorContainer.classList.remove('freewrite-locked');
+        this.editor.style.opacity = '';
+    }
+
+    resetFreewriteBaseline() {
+        // Switching notes mid-session starts over from the new note's text
+        if (!this.freewriteSession) return;
+        this.freewriteSession.baseline = this.editor.value;
+        this.freewriteSession.lastInputAt = Date.now();
+        this.editor.style.opacity = '';
+        this.pinCaretToEnd();
+    }
+
+    noteFreewriteInput() {
+        if (!this.freewriteSession) return;
+        this.freewriteSession.lastInputAt = Date.now();
+        this.editor.style.opacity = '';
+    }
+
+    pinCaretToEnd() {
+        const end = this.editor.value.length;
+        if (this.editor.selectionStart !== end || this.editor.selectionEnd !== end) {
+            this.editor.setSelectionRange(end, end);
+        }
+    }
+
+    handleFreewriteKeydown(e) {
+        if (!this.freewriteSession) return;
+
+        const movementKeys = [
+            'Backspace', 'Delete',
+            'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+            'Home', 'End', 'PageUp', 'PageDown'
+        ];
+        // Undo, redo, cut and select-all all reach back into earlier text
+        const editingShortcut = (e.ctrlKey || e.metaKey) && ['z', 'y', 'x', 'a'].includes(e.key.toLowerCase());
+
+        if (movementKeys.includes(e.key) || editingShortcut) {
+            e.preventDefault();
+        }
+    }
+
+    handleFreewriteBeforeInput(e) {
+        if (!this.freewriteSession) return;
+
+        // Only new text typed at the very end gets through; deletions, undo,
+        // drag-and-drop and autocorrect replacements all rewrite what's there
+        const allowed = e.inputType.startsWith('insert') &&
+            e.inputType !== 'insertFromDrop' &&
+            e.inputType !== 'insertReplacementText';
+        const atEnd = this.editor.selectionStart === this.editor.value.length &&
+            this.editor.selectionEnd === this.editor.value.length;
+
+        if (!allowed || !atEnd) {
+            e.preventDefault();
+            this.pinCaretToEnd();
+        }
+    }
+
+    handleFreewriteSelection() {
+        if (!this.freewriteSession) return;
+        // Mouse selections settle after the event, so pin on the next frame
+        requestAnimationFrame(() => {
+            if (this.freewriteSession) this.pinCaretToEnd();
+        });
+    }
+
+    updateFreewriteFade() {
+        const session = this.freewriteSession;
+        if (!session) return;
+
+        // Nothing written yet this session, so nothing to lose
+        if (this.editor.value === session.baseline) {
+            this.editor.style.opacity = '';
+            return;
+        }
+
+        // Fades over a second pause of the same length, then the words are gone
+        const pause = this.settings.keepGoingSeconds * 1000;
+        const fade = (Date.now() - session.lastInputAt - pause) / pause;
+
+        if (fade <= 0) {
+            this.editor.style.opacity = '';
+        } else if (fade < 1) {
+            this.editor.style.opacity = String(1 - fade * 0.9);
+        } else {
+            this.editor.value = session.baseline;
+            this.currentNote.content = session.baseline;
+            session.lastInputAt = Date.now();
+            this.editor.style.opacity = '';
+            this.pinCaretToEnd();
+            this.updateWordCount();
+            this.schedulePreviewRender();
+            this.showNotification('You stopped writing, so the session text faded away. Keep going!', 'warning');
+        }
+    }
+
+    // ================================
+    // Writing Sessions
+    // ================================
+
+    startSessionRecord() {
+        this.sessionRecord = {
+            id: this.generateId(),
+            startedAt: new Date().toISOString(),
+            plannedMinutes: this.settings.timerDuration,
+            freewriteMode: this.settings.freewriteMode,
+            words: 0,
+            baseWords: this.countWords(this.editor.value),
+            lastInputAt: Date.now(),
+            pauses: [],
+            pausedAt: null,
+            pausedSeconds: 0 // timer pauses, left out of the session's duration
+        };
+    }
+
+    pauseSessionRecord() {
+        if (this.sessionRecord) {
+            this.sessionRecord.pausedAt = Date.now();
+        }
+    }
+
+    resumeSessionRecord() {
+        const record = this.sessionRecord;
+        if (!record) {
+            this.startSessionRecord();
+            return;
+        }
+        if (record.pausedAt) {
+            record.pausedSeconds += (Date.now() - record.pausedAt) / 1000;
+            record.pausedAt = null;
+        }
+        // The timer pause itself isn't a pause in the writing
+        record.lastInputAt = Date.now();
+    }
+
+    trackSessionInput() {
+        const record = this.sessionRecord;
+        if (!record) return;
+
+        const now = Date.now();
+        const idle = now - record.lastInputAt;
+        if (idle >= SESSION_PAUSE_SECONDS * 1000) {
+            record.pauses.push({
+                at: new Date(record.lastInputAt).toISOString(),
+                seconds: Math.round(idle / 1000)
+            });
+        }
+        record.lastInputAt = now;
+    }
+
+    carrySessionWords(nextContent) {
+        // Words already written stay counted when the session moves to another note
+        const record = this.sessionRecord;
+        if (!record) return;
+        record.words += Math.max(0, this.countWords(this.editor.value) - record.baseWords);
+        record.baseWords = this.countWords(nextContent);
+    }
+
+    async finishSessionRecord(completed) {
+        const record = this.sessionRecord;
+        if (!record) return;
+        this.sessionRecord = null;
+
+        const endedAt = new Date();
+        const pausedSeconds = record.pausedSeconds + (record.pausedAt ? (endedAt - record.pausedAt) / 1000 : 0);
+        const durationSeconds = Math.round((endedAt - new Date(record.startedAt)) / 1000 - pausedSeconds);
+        const words = record.words + Math.max(0, this.countWords(this.editor.value) - record.baseWords);
+
+        // A timer started and stopped straight away isn't a session
+        if (!completed && !words && durationSeconds < 60) return;
+
+        if (this.editor.value.trim()) {
+            await this.autosaveNote();
+        }
+
+        const session = {
+            id: record.id,
+            startedAt: record.startedAt,
+            endedAt: endedAt.toISOString(),
+            durationSeconds,
+            plannedMinutes: record.plannedMinutes,
+            completed,
+            freewriteMode: record.freewriteMode,
+            words,
+            wpm: durationSeconds ? Math.round((words / (durationSeconds / 60)) * 10) / 10 : 0,
+            pauses: record.pauses,
+            noteId: this.editor.value.trim() ? this.currentNote.id : null,
+            noteTitle: this.editor.value.trim() ? this.currentNote.title : ''
+        };
+
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['sessions'], 'readwrite');
+                transaction.objectStore('sessions').put(session);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Failed to record writing session:', error);
+        }
+    }
+
+    async getAllSessions() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const request = transaction.objectStore('sessions').index('startedAt').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ================================
+    // Stats Dashboard
+    // ================================
+
+    async openStats() {
+        this.openModal('stats-modal');
+
+        try {
+            this.renderStats(await this.getAllSessions());
+        } catch (error) {
+            console.error('Failed to load writing sessions:', error);
+            this.showNotification('Could not load writing stats', 'error');
+        }
+    }
+
+    renderStats(sessions) {
+        const today = this.getWritingDay();
+        const report = buildStatsReport(sessions, today, this.settings.dayStartHour);
+        const days = summarizeDays(sessions, this.settings.dayStartHour);
+
+        const cards = [
+            ['Today', `${days.get(today)?.words || 0} words`],
+            ['Current streak', report.streaks.current === 1 ? '1 day' : `${report.streaks.current} days`],
+            ['Longest streak', report.streaks.longest === 1 ? '1 day' : `${report.streaks.longest} days`],
+            ['Sessions', `${report.totals.sessions}`],
+            ['Average pace', `${report.totals.wpm} wpm`]
+        ];
+        document.getElementById('stats-summary').replaceChildren(...cards.map(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'stats-card';
+            const strong = document.createElement('strong');
+            strong.textContent = value;
+            const span = document.createElement('span');
+            span.textContent = label;
+            card.append(strong, span);
+            return card;
+        }));
+
+        document.getElementById('stats-heatmap').replaceChildren(...buildHeatmapWeeks(days, today).map(week => {
+            const column = document.createElement('div');
+            column.className = 'heatmap-week';
+            week.forEach(cell => {
+                const square = document.createElement('div');
+                square.className = `heatmap-day level-${cell.level}`;
+                square.title = `${cell.day}: ${cell.words === 1 ? '1 word' : `${cell.words} words`}`;
+                column.appendChild(square);
+            });
+            return column;
+        }));
+
+        this.renderStatsDaily(days, today);
+        this.renderStatsSessions(sessions);
     }
 
-    async updateQueueJob(jobId, updates) {
-        const transaction = this.db.transaction(['queue'], 'readwrite');
-        const store = transaction.objectStore('queue');
-        const getRequest = store.get(jobId);
+    renderStatsDaily(days, today) {
+        // The last two weeks as bars, today at the bottom
+        const keys = Array.from({ length: 14 }, (_, i) => shiftDayKey(today, i - 13));
+        const max = Math.max(1, ...keys.map(key => days.get(key)?.words || 0));
+
+        document.getElementById('stats-daily').replaceChildren(...keys.map(key => {
+            const words = days.get(key)?.words || 0;
+            const row = document.createElement('div');
+            row.className = 'stats-day';
+
+            const label = document.createElement('span');
+            const [year, month, day] = key.split('-').map(Number);
+            label.textContent = new Date(year, month - 1, day).toLocaleDateString([], {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric'
+            });
 
-        return new Promise((resolve, reject) => {
-            getRequest.onsuccess = () => {
-                const job = getRequest.result;
-                if (job) {
-                    Object.assign(job, updates);
-                    const putRequest = store.put(job);
-                    putRequest.onsuccess = () => resolve();
-                    putRequest.onerror = () => reject(putRequest.error);
-                } else {
-                    reject(new Error('Job not found'));
-                }
-            };
-            getRequest.onerror = () => reject(getRequest.error);
-        });
+            const track = document.createElement('div');
+            track.className = 'stats-bar';
+            const bar = document.createElement('div');
+            bar.style.width = `${(words / max) * 100}%`;
+            track.appendChild(bar);
+
+            const count = document.createElement('span');
+            count.textContent = words;
+
+            row.append(label, track, count);
+            return row;
+        }));
     }
 
-    async clearCompletedJobs() {
-        const transaction = this.db.transaction(['queue'], 'readwrite');
-        const store = transaction.objectStore('queue');
-        const index = store.index('status');
-        const request = index.getAll('completed');
+    renderStatsSessions(sessions) {
+        const list = document.getElementById('stats-sessions');
+        if (!sessions.length) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No timer sessions yet. Start the timer to record one.';
+            list.replaceChildren(empty);
+            return;
+        }
 
-        request.onsuccess = () => {
-            const completedJobs = request.result;
-            completedJobs.forEach(job => {
-                store.delete(job.id);
+        // Newest first; the CSV export has the full history
+        list.replaceChildren(...sessions.slice(-100).reverse().map(session => {
+            const item = document.createElement('div');
+            item.className = 'history-commit stats-session';
+            if (session.noteId) item.dataset.noteId = session.noteId;
+
+            const meta = document.createElement('div');
+            meta.className = 'note-meta';
+            const when = document.createElement('span');
+            when.textContent = new Date(session.startedAt).toLocaleString([], {
+                dateStyle: 'medium',
+                timeStyle: 'short'
             });
-            this.loadSyncQueue();
-        };
+            const numbers = document.createElement('span');
+            const minutes = Math.round(session.durationSeconds / 60);
+            const pauses = session.pauses.length === 1 ? '1 pause' : `${session.pauses.length} pauses`;
+            numbers.textContent = `${minutes} min · ${session.words} words · ${session.wpm} wpm · ${pauses}`;
+            meta.append(when, numbers);
+
+            const label = document.createElement('div');
+            label.className = 'history-message';
+            label.textContent = (session.noteTitle || 'No note saved') + (session.completed ? '' : ' (stopped early)');
+
+            item.append(meta, label);
+            return item;
+        }));
     }
 
-    updateSyncUI() {
-        const pendingJobs = this.syncQueue.filter(job => job.status === 'pending');
-        const queueInfo = document.getElementById('queue-info');
+    async handleStatsSessionClick(e) {
+        const item = e.target.closest('[data-note-id]');
+        if (!item) return;
 
-        if (pendingJobs.length > 0) {
-            this.queueCount.textContent = pendingJobs.length;
-            this.queueCount.classList.remove('hidden');
-            queueInfo.textContent = `${pendingJobs.length} notes pending sync`;
-        } else {
-            this.queueCount.classList.add('hidden');
-            queueInfo.textContent = 'No pending syncs';
+        try {
+            await this.loadNote(item.dataset.noteId);
+            this.closeModal('stats-modal');
+        } catch (error) {
+            this.showNotification('That note no longer exists', 'warning');
+        }
+    }
+
+    async exportSessionsCsv() {
+        const sessions = await this.getAllSessions();
+        if (!sessions.length) {
+            this.showNotification('No sessions to export', 'warning');
+            return;
         }
 
-        this.loadNotesHistory(); // Refresh to show queue status
+        const blob = new Blob([sessionsToCsv(sessions)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `gitwrite-sessions-${localDayKey(new Date())}.csv`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        this.showNotification('Sessions exported', 'success');
     }
 
-    isNoteQueued(noteId) {
-        return this.syncQueue.some(job => 
-            job.noteId === noteId && job.status === 'pending'
-        );
+    async commitStatsToGitHub() {
+        if (!this.github.token) {
+            this.closeModal('stats-modal');
+            this.requireGitHubToken();
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.showNotification('No internet connection', 'error');
+            return;
+        }
+
+        const { owner, repo } = this.github;
+        const branch = this.github.branch || 'main';
+        const report = buildStatsReport(await this.getAllSessions(), this.getWritingDay(), this.settings.dayStartHour);
+
+        try {
+            const githubService = await this.createGitHubService();
+            // Generated file: always replaces whatever version is in the repo
+            let existing = null;
+            try {
+                existing = await githubService.getFile(owner, repo, 'stats.json', branch);
+            } catch (error) {
+                // Not committed yet is fine; anything else is reported below
+                if (error.type !== 'not-found') throw error;
+            }
+
+            await githubService.createOrUpdateFile(
+                owner,
+                repo,
+                'stats.json',
+                JSON.stringify(report, null, 2) + '\n',
+                `Update writing stats (${report.totals.sessions} sessions)`,
+                branch,
+                existing?.sha || null
+            );
+            this.showNotification('stats.json committed', 'success');
+        } catch (error) {
+            console.error('Failed to commit stats:', error);
+            this.showNotification(`Could not commit stats: ${error.message}`, 'error');
+        }
     }
 
     // ================================
-    // Timer Functionality
+    // Daily Goal
     // ================================
 
-    toggleTimer() {
-        if (this.timerState.isRunning) {
-            this.stopTimer();
-        } else {
-            this.startTimer();
+    getWritingDay(date = new Date()) {
+        return localDayKey(date, this.settings.dayStartHour);
+    }
+
+    async loadDailyTotals() {
+        const totals = new Map();
+
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['notes'], 'readonly');
+                const request = transaction.objectStore('notes').openCursor();
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    Object.entries(cursor.value.dailyWords || {}).forEach(([day, words]) => {
+                        totals.set(day, (totals.get(day) || 0) + words);
+                    });
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to load daily word counts:', error);
+            return;
         }
+
+        this.dailyTotals = totals;
+        this.updateGoalProgress();
     }
 
-    startTimer() {
-        this.timerState.isRunning = true;
-        this.timerState.timeLeft = this.settings.timerDuration * 60;
-        this.timer.classList.remove('hidden');
-        
-        this.timerState.interval = setInterval(() => {
-            this.timerState.timeLeft--;
-            this.updateTimerDisplay();
-            
-            if (this.timerState.timeLeft <= 0) {
-                this.timerFinished();
+    async getNotesWrittenOn(day) {
+        return new Promise((resolve, reject) => {
+            const notes = [];
+            const transaction = this.db.transaction(['notes'], 'readonly');
+            const request = transaction.objectStore('notes').openCursor();
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve(notes);
+                    return;
+                }
+                if (cursor.value.dailyWords?.[day]) notes.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getGoalStreak(today, writtenToday) {
+        // Days on which the goal was met, across all notes
+        const goal = this.settings.dailyGoal;
+        const days = new Set();
+        this.dailyTotals.forEach((words, day) => {
+            if (words >= goal) days.add(day);
+        });
+        if (writtenToday >= goal) days.add(today);
+        return computeStreaks(days, today).current;
+    }
+
+    updateGoalProgress(editorWords = this.countWords(this.editor.value)) {
+        const goal = this.settings.dailyGoal;
+        const button = document.getElementById('goal-progress');
+        button.classList.toggle('hidden', !goal);
+        if (!goal) return;
+
+        // Unsaved words in the editor already count towards the ring
+        const today = this.getWritingDay();
+        const written = (this.dailyTotals.get(today) || 0) +
+            Math.max(0, editorWords - (this.currentNote.wordCount || 0));
+        const streak = this.getGoalStreak(today, written);
+
+        document.getElementById('goal-ring').setAttribute('stroke-dasharray', `${Math.min(100, (written / goal) * 100)} 100`);
+        document.getElementById('goal-streak').textContent = streak ? `${streak}d` : '';
+        button.classList.toggle('reached', written >= goal);
+        button.title = `${written} / ${goal} words today · ${streak === 1 ? '1 day' : `${streak} days`} streak`;
+
+        // Keep-going text isn't kept until its session ends, so celebrate (and commit) then
+        if (this.freewriteSession?.mode === 'keep-going') return;
+        if (written >= goal && localStorage.getItem('gitwrite-goal-reached') !== today) {
+            this.goalReached(today);
+        }
+    }
+
+    async goalReached(day) {
+        localStorage.setItem('gitwrite-goal-reached', day);
+        this.showNotification(`Daily goal reached: ${this.settings.dailyGoal} words!`, 'success');
+
+        if (this.settings.goalAutoCommit) {
+            await this.commitDayNotes(day);
+        }
+    }
+
+    async commitDayNotes(day) {
+        if (!this.github.token) {
+            this.showNotification('Connect or unlock GitHub to commit the day\'s notes automatically', 'warning');
+            return;
+        }
+
+        try {
+            if (this.editor.value.trim()) {
+                await this.autosaveNote();
             }
-        }, 1000);
-        
-        this.updateTimerDisplay();
 
-        this.rainSound.play(); // Start rain sound when timer starts
+            const jobs = [];
+            for (const note of await this.getNotesWrittenOn(day)) {
+                jobs.push(await this.enqueueNoteSync(note));
+            }
+            if (!jobs.length) return;
+
+            if (navigator.onLine) {
+                await this.processSyncQueue({ force: true, jobIds: jobs.map(job => job.id), source: 'goal' });
+            } else {
+                this.showNotification('Offline: the day\'s notes were added to the sync queue', 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to commit the day\'s notes:', error);
+            this.showNotification(`Could not commit the day's notes: ${error.message}`, 'error');
+        }
     }
 
-    stopTimer() {
-        this.timerState.isRunning = false;
-        clearInterval(this.timerState.interval);
-        this.timer.classList.add('hidden');
-        this.timer.classList.remove('warning', 'danger');
+    // ================================
+    // Markdown Preview
+    // ================================
 
-        this.rainSound.stop(); // Stop rain sound when timer stops
+    isWritingPhase() {
+        const state = this.timerState;
+        return state.isRunning && !state.isPaused && state.phase === 'work';
     }
 
-    updateTimerDisplay() {
-        const minutes = Math.floor(this.timerState.timeLeft / 60);
-        const seconds = this.timerState.timeLeft % 60;
-        const display = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-        this.timer.textContent = display;
-        
-        // Visual feedback for time remaining
-        if (this.timerState.timeLeft <= 60) {
-            this.timer.classList.add('danger');
-        } else if (this.timerState.timeLeft <= 300) {
-            this.timer.classList.add('warning');
+    cycleViewMode() {
+        const modes = ['editor', 'split', 'preview'];
+        this.setViewMode(modes[(modes.indexOf(this.settings.viewMode) + 1) % modes.length]);
+    }
+
+    setViewMode(mode) {
+        // Freewriting means not reading back; the preview returns for breaks and pauses
+        if (this.isWritingPhase() && mode !== 'editor') {
+            this.showNotification('Preview is hidden during timed sessions', 'info');
+            return;
         }
+
+        this.settings.viewMode = mode;
+        this.saveSettings();
+        this.applyViewMode();
     }
 
-    timerFinished() {
-        this.stopTimer();
-        this.showNotification('Timer finished! Great job writing!', 'success');
-        
-        // Auto-save when timer finishes
-        if (this.editor.value.trim()) {
-            this.autosaveNote();
+    applyViewMode() {
+        const mode = this.isWritingPhase() ? 'editor' : this.settings.viewMode;
+        const labels = { editor: 'Editor only', split: 'Split view', preview: 'Preview only' };
+
+        this.editorContainer.classList.toggle('view-split', mode === 'split');
+        this.editorContainer.classList.toggle('view-preview', mode === 'preview');
+        this.preview.classList.toggle('hidden', mode === 'editor');
+
+        const toggle = document.getElementById('preview-toggle');
+        toggle.classList.toggle('active', mode !== 'editor');
+        toggle.title = `${labels[mode]} (Ctrl+E to switch)`;
+
+        if (mode === 'editor') {
+            this.preview.replaceChildren();
+        } else {
+            this.renderPreview();
+        }
+        if (mode !== 'preview') {
+            this.editor.focus();
+        }
+    }
+
+    schedulePreviewRender() {
+        if (this.preview.classList.contains('hidden')) return;
+
+        clearTimeout(this.previewTimeout);
+        this.previewTimeout = setTimeout(() => this.renderPreview(), 150);
+    }
+
+    renderPreview() {
+        clearTimeout(this.previewTimeout);
+        this.preview.replaceChildren(renderMarkdown(this.editor.value));
+        this.syncPreviewScroll({ target: this.editor });
+    }
+
+    syncPreviewScroll(e) {
+        if (!this.editorContainer.classList.contains('view-split')) return;
+
+        // Ignore the scroll event our own adjustment of the other pane produces
+        if (e.target === this.scrollSyncTarget) {
+            this.scrollSyncTarget = null;
+            return;
+        }
+
+        // Proportional: both panes show the same fraction of the note
+        const source = e.target;
+        const target = source === this.editor ? this.preview : this.editor;
+        const ratio = source.scrollTop / Math.max(1, source.scrollHeight - source.clientHeight);
+        const scrollTop = Math.round(ratio * (target.scrollHeight - target.clientHeight));
+
+        if (Math.abs(target.scrollTop - scrollTop) >= 1) {
+            this.scrollSyncTarget = target;
+            target.scrollTop = scrollTop;
         }
     }
 
@@ -786,7 +3607,8 @@ class GitWrite {
     toggleSidebar() {
         this.sidebar.classList.toggle('open');
         if (this.sidebar.classList.contains('open')) {
-            this.loadNotesHistory();
+            // The list is kept current by saves; just lay out rows for the visible area
+            this.renderNotesWindow();
         }
     }
 
@@ -830,6 +3652,91 @@ class GitWrite {
         
         modal.classList.remove('active');
         overlay.classList.remove('active');
+
+        // A mixer preview stops with the settings; sprints keep their sound
+        if (modalId === 'settings-modal' && !this.isWritingPhase()) {
+            this.ambient.stop();
+            this.updateAmbientPreviewButton();
+        }
+
+        if (modalId === 'github-modal') {
+            this.cancelDeviceLogin();
+        }
+
+        // Dismissing the merge view leaves the conflict unresolved
+        if (modalId === 'merge-modal' && this.mergeResolver) {
+            this.mergeResolver(null);
+            this.mergeResolver = null;
+        }
+    }
+
+    // ================================
+    // Conflict Resolution
+    // ================================
+
+    openMergeView(path, localContent, remoteContent) {
+        // Only one conflict is resolved at a time
+        if (this.mergeResolver) {
+            this.mergeResolver(null);
+        }
+
+        document.getElementById('merge-path').textContent = path;
+        document.getElementById('merge-result').value = mergeWithMarkers(localContent, remoteContent);
+
+        const rows = diffRows(diffLines(localContent, remoteContent));
+        this.renderMergePane(document.getElementById('merge-local'), rows, 'left');
+        this.renderMergePane(document.getElementById('merge-remote'), rows, 'right');
+
+        this.openModal('merge-modal');
+
+        return new Promise(resolve => {
+            this.mergeResolver = resolve;
+            this.mergeVersions = { local: localContent, remote: remoteContent };
+        });
+    }
+
+    renderMergePane(pane, rows, side) {
+        pane.replaceChildren(...rows.map(row => {
+            const line = document.createElement('div');
+            const text = row[side];
+
+            line.className = 'diff-line';
+            if (text === null) {
+                line.classList.add('empty');
+            } else if (row.type === 'change') {
+                line.classList.add(side === 'left' ? 'removed' : 'added');
+            }
+            line.textContent = text || '\u00a0';
+            return line;
+        }));
+    }
+
+    syncMergeScroll(e) {
+        const panes = [document.getElementById('merge-local'), document.getElementById('merge-remote')];
+        const other = panes.find(pane => pane !== e.target);
+        if (other.scrollTop !== e.target.scrollTop) {
+            other.scrollTop = e.target.scrollTop;
+        }
+    }
+
+    finishMerge(choice) {
+        if (!this.mergeResolver) return;
+
+        let content;
+        if (choice === 'merged') {
+            content = document.getElementById('merge-result').value;
+            if (/^(<{7}|={7}|>{7})/m.test(content) &&
+                !confirm('The merged text still contains conflict markers. Save anyway?')) {
+                return;
+            }
+        } else {
+            content = this.mergeVersions[choice];
+        }
+
+        const resolve = this.mergeResolver;
+        this.mergeResolver = null;
+        this.closeModal('merge-modal');
+        resolve(content);
     }
 
     // ================================
@@ -841,8 +3748,17 @@ class GitWrite {
         if (saved) {
             this.settings = { ...this.settings, ...JSON.parse(saved) };
         }
+
+        // The old rain loop kept its volume on its own, as a 0-1 string
+        const rainVolume = localStorage.getItem('rain-volume');
+        if (rainVolume !== null) {
+            this.settings.ambient = { ...this.settings.ambient, master: Math.round(parseFloat(rainVolume) * 100) || 0 };
+            localStorage.removeItem('rain-volume');
+            this.saveSettings();
+        }
         
         this.applySettings();
+        this.applyViewMode();
     }
 
     saveSettings() {
@@ -855,6 +3771,7 @@ class GitWrite {
         
         // Apply font settings
         this.editor.style.fontSize = `${this.settings.fontSize}px`;
+        this.preview.style.fontSize = `${this.settings.fontSize}px`;
         this.editor.className = `editor font-${this.settings.fontFamily}`;
         
         // Update UI controls
@@ -862,39 +3779,199 @@ class GitWrite {
         document.getElementById('font-size-value').textContent = `${this.settings.fontSize}px`;
         document.getElementById('font-family').value = this.settings.fontFamily;
         document.getElementById('timer-duration').value = this.settings.timerDuration;
+        document.getElementById('timer-mode').value = this.settings.timerMode;
+        document.getElementById('break-minutes').value = this.settings.breakMinutes;
+        document.getElementById('long-break-minutes').value = this.settings.longBreakMinutes;
+        document.getElementById('long-break-every').value = this.settings.longBreakEvery;
+        document.getElementById('pomodoro-cycles').value = this.settings.pomodoroCycles;
+        document.getElementById('chime-enabled').checked = this.settings.chimeEnabled;
+        document.getElementById('freewrite-mode').value = this.settings.freewriteMode;
+        document.getElementById('keep-going-seconds').value = this.settings.keepGoingSeconds;
+        document.getElementById('daily-goal').value = this.settings.dailyGoal;
+        document.getElementById('day-start-hour').value = this.settings.dayStartHour;
+        document.getElementById('goal-auto-commit').checked = this.settings.goalAutoCommit;
         document.getElementById('autosave-interval').value = this.settings.autosaveInterval;
+        document.getElementById('sync-max-attempts').value = this.settings.syncMaxAttempts;
+        document.getElementById('revision-interval').value = this.settings.revisionInterval;
+        document.getElementById('revision-recent-hours').value = this.settings.revisionRecentHours;
+        document.getElementById('revision-max-days').value = this.settings.revisionMaxDays;
+
+        this.applyAmbientSettings();
 
         // Apply typing sound settings
         document.getElementById('typing-sound-enabled').checked = this.settings.typingSoundEnabled;
         document.getElementById('typing-volume').value = this.settings.typingVolume;
-        if (this.typingAudio) {
-            this.typingAudio.volume = this.settings.typingVolume / 100;
-        }
+        document.getElementById('typing-sound-pack').value = this.settings.typingSoundPack;
+        this.typingSounds?.setPack(this.settings.typingSoundPack);
+        this.typingSounds?.setVolume(this.settings.typingVolume);
     }
 
     updateFontSize() {
         const size = document.getElementById('font-size').value;
         this.settings.fontSize = parseInt(size);
         this.editor.style.fontSize = `${size}px`;
+        this.preview.style.fontSize = `${size}px`;
         document.getElementById('font-size-value').textContent = `${size}px`;
         this.saveSettings();
     }
 
-    updateFontFamily() {
-        const family = document.getElementById('font-family').value;
-        this.settings.fontFamily = family;
-        this.editor.className = `editor font-${family}`;
+    updateFontFamily() {
+        const family = document.getElementById('font-family').value;
+        this.settings.fontFamily = family;
+        this.editor.className = `editor font-${family}`;
+        this.saveSettings();
+    }
+
+    updateTimerDuration() {
+        this.settings.timerDuration = parseInt(document.getElementById('timer-duration').value);
+        this.saveSettings();
+    }
+
+    updateTimerMode() {
+        const minutes = (id, fallback) => Math.max(1, parseInt(document.getElementById(id).value, 10) || fallback);
+        this.settings.timerMode = document.getElementById('timer-mode').value;
+        this.settings.breakMinutes = minutes('break-minutes', 5);
+        this.settings.longBreakMinutes = minutes('long-break-minutes', 15);
+        this.settings.longBreakEvery = minutes('long-break-every', 4);
+        this.settings.pomodoroCycles = minutes('pomodoro-cycles', 4);
+        this.settings.chimeEnabled = document.getElementById('chime-enabled').checked;
+        this.saveSettings();
+    }
+
+    updateFreewriteMode() {
+        this.settings.freewriteMode = document.getElementById('freewrite-mode').value;
+        this.settings.keepGoingSeconds = parseInt(document.getElementById('keep-going-seconds').value, 10) || 5;
+        this.saveSettings();
+    }
+
+    updateDailyGoal() {
+        this.settings.dailyGoal = Math.max(0, parseInt(document.getElementById('daily-goal').value, 10) || 0);
+        this.settings.dayStartHour = parseInt(document.getElementById('day-start-hour').value, 10) || 0;
+        this.settings.goalAutoCommit = document.getElementById('goal-auto-commit').checked;
+        this.saveSettings();
+        this.loadDailyTotals();
+    }
+
+    updateAutosaveInterval() {
+        this.settings.autosaveInterval = parseInt(document.getElementById('autosave-interval').value);
+        this.saveSettings();
+    }
+
+    updateSyncMaxAttempts() {
+        this.settings.syncMaxAttempts = parseInt(document.getElementById('sync-max-attempts').value, 10);
+        this.saveSettings();
+    }
+
+    updateRevisionRetention() {
+        this.settings.revisionInterval = parseInt(document.getElementById('revision-interval').value, 10);
+        this.settings.revisionRecentHours = parseInt(document.getElementById('revision-recent-hours').value, 10);
+        this.settings.revisionMaxDays = parseInt(document.getElementById('revision-max-days').value, 10);
+        this.saveSettings();
+    }
+
+    applyAmbientSettings() {
+        const { ambient } = this.settings;
+        document.getElementById('ambient-volume').value = ambient.master;
+        document.querySelectorAll('[data-ambient-layer]').forEach(input => {
+            input.value = ambient.layers[input.dataset.ambientLayer] || 0;
+        });
+        this.renderAmbientPresets();
+        this.ambient?.setMix(ambient); // settings load before audio is initialized
+    }
+
+    renderAmbientPresets() {
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Presets';
+        Object.keys(AMBIENT_PRESETS).forEach(name => builtIn.appendChild(new Option(name, name)));
+
+        const saved = document.createElement('optgroup');
+        saved.label = 'Saved';
+        Object.keys(this.settings.ambientPresets).sort().forEach(name => saved.appendChild(new Option(name, name)));
+
+        const select = document.getElementById('ambient-preset');
+        select.replaceChildren(new Option('Custom mix', ''), builtIn, ...(saved.children.length ? [saved] : []));
+        this.syncAmbientPresetSelect();
+    }
+
+    syncAmbientPresetSelect() {
+        // Show the preset the sliders currently match, if any
+        const { layers } = this.settings.ambient;
+        const presets = { ...AMBIENT_PRESETS, ...this.settings.ambientPresets };
+        const match = Object.keys(presets).find(name =>
+            Object.keys(AMBIENT_LAYERS).every(id => (presets[name][id] || 0) === (layers[id] || 0)));
+
+        const select = document.getElementById('ambient-preset');
+        select.value = match || '';
+        document.getElementById('ambient-delete-preset').disabled = !Object.hasOwn(this.settings.ambientPresets, select.value);
+    }
+
+    handleAmbientInput(e) {
+        const input = e.target;
+        const value = parseInt(input.value, 10) || 0;
+        const { ambient } = this.settings;
+
+        if (input.id === 'ambient-volume') {
+            this.settings.ambient = { ...ambient, master: value };
+        } else if (input.dataset.ambientLayer) {
+            this.settings.ambient = { ...ambient, layers: { ...ambient.layers, [input.dataset.ambientLayer]: value } };
+        } else {
+            return;
+        }
+
+        this.ambient.setMix(this.settings.ambient);
+        this.syncAmbientPresetSelect();
+        this.saveSettings();
+    }
+
+    handleAmbientPresetChange(e) {
+        const name = e.target.value;
+        const preset = Object.hasOwn(this.settings.ambientPresets, name)
+            ? this.settings.ambientPresets[name]
+            : AMBIENT_PRESETS[name];
+        if (!preset) return;
+
+        this.settings.ambient = { ...this.settings.ambient, layers: { ...preset } };
+        this.applyAmbientSettings();
         this.saveSettings();
     }
 
-    updateTimerDuration() {
-        this.settings.timerDuration = parseInt(document.getElementById('timer-duration').value);
+    saveAmbientPreset() {
+        const name = (prompt('Name this mix:') || '').trim();
+        if (!name) return;
+
+        if (Object.hasOwn(AMBIENT_PRESETS, name)) {
+            this.showNotification(`"${name}" is a built-in preset, pick another name`, 'warning');
+            return;
+        }
+
+        this.settings.ambientPresets = { ...this.settings.ambientPresets, [name]: { ...this.settings.ambient.layers } };
         this.saveSettings();
+        this.renderAmbientPresets();
+        this.showNotification(`Saved the "${name}" mix`, 'success');
     }
 
-    updateAutosaveInterval() {
-        this.settings.autosaveInterval = parseInt(document.getElementById('autosave-interval').value);
+    deleteAmbientPreset() {
+        const name = document.getElementById('ambient-preset').value;
+        if (!Object.hasOwn(this.settings.ambientPresets, name)) return;
+        if (!confirm(`Delete the "${name}" mix?`)) return;
+
+        const { [name]: removed, ...rest } = this.settings.ambientPresets;
+        this.settings.ambientPresets = rest;
         this.saveSettings();
+        this.renderAmbientPresets();
+    }
+
+    toggleAmbientPreview() {
+        if (this.ambient.playing) {
+            this.ambient.stop();
+        } else {
+            this.ambient.play();
+        }
+        this.updateAmbientPreviewButton();
+    }
+
+    updateAmbientPreviewButton() {
+        document.getElementById('ambient-preview').textContent = this.ambient.playing ? 'Stop' : 'Preview';
     }
 
     updateTypingSoundEnabled() {
@@ -905,9 +3982,14 @@ class GitWrite {
     updateTypingVolume() {
         const volume = document.getElementById('typing-volume').value;
         this.settings.typingVolume = parseInt(volume, 10);
-        if (this.typingAudio) {
-            this.typingAudio.volume = this.settings.typingVolume / 100;
-        }
+        this.typingSounds.setVolume(this.settings.typingVolume);
+        this.saveSettings();
+    }
+
+    updateTypingSoundPack() {
+        this.settings.typingSoundPack = document.getElementById('typing-sound-pack').value;
+        this.typingSounds.setPack(this.settings.typingSoundPack);
+        this.typingSounds.load(this.settings.typingSoundPack).then(() => this.typingSounds.play('key'));
         this.saveSettings();
     }
 
@@ -915,6 +3997,197 @@ class GitWrite {
     // GitHub Settings
     // ================================
 
+    // GitHub settings and the sealed token share the IndexedDB settings store.
+    // App preferences stay in localStorage: they're needed before the database opens.
+
+    async getStoredSetting(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(key);
+            request.onsuccess = () => resolve(request.result?.value);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putStoredSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            if (value === undefined) {
+                store.delete(key);
+            } else {
+                store.put({ key, value });
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async loadGitHubCredentials() {
+        try {
+            await this.migrateLegacyGitHubSettings();
+
+            const stored = await this.getStoredSetting('github');
+            if (stored) {
+                this.github = { ...this.github, ...stored, token: this.github.token };
+            }
+
+            this.sealedToken = (await this.getStoredSetting('github-token')) || null;
+            this.noteKey = (await this.getStoredSetting('note-key')) || null;
+            if (this.sealedToken && !this.github.token) {
+                this.openModal('unlock-modal');
+                document.getElementById('unlock-passphrase').focus();
+            }
+        } catch (error) {
+            console.error('Failed to load GitHub settings:', error);
+        }
+    }
+
+    async migrateLegacyGitHubSettings() {
+        // Older versions saved under github-settings but read gitwrite-github, token in plain text
+        const keys = ['github-settings', 'gitwrite-github'];
+        const legacy = keys
+            .flatMap(key => [localStorage.getItem(key), sessionStorage.getItem(key)])
+            .filter(Boolean)
+            .map(json => {
+                try {
+                    return JSON.parse(json);
+                } catch (error) {
+                    return {};
+                }
+            });
+        if (legacy.length === 0) return;
+
+        const { token, ...settings } = Object.assign({}, ...legacy);
+        if (!(await this.getStoredSetting('github'))) {
+            await this.putStoredSetting('github', { ...settings, rememberToken: false });
+        }
+        keys.forEach(key => {
+            localStorage.removeItem(key);
+            sessionStorage.removeItem(key);
+        });
+
+        if (token) {
+            // Usable for this session; remembering it again needs a passphrase
+            this.github.token = token;
+            this.showNotification('Your GitHub token was stored unencrypted. Save GitHub settings with a passphrase to remember it.', 'warning');
+        }
+    }
+
+    requireGitHubToken() {
+        if (this.github.token) return true;
+
+        // A remembered token only needs its passphrase; otherwise GitHub isn't set up yet
+        this.openModal(this.sealedToken ? 'unlock-modal' : 'github-modal');
+        if (this.sealedToken) document.getElementById('unlock-passphrase').focus();
+        return false;
+    }
+
+    async unlockToken() {
+        const input = document.getElementById('unlock-passphrase');
+        const error = document.getElementById('unlock-error');
+        if (!this.sealedToken || !input.value) return;
+
+        const button = document.getElementById('unlock-token');
+        button.disabled = true;
+        try {
+            // The key stays in memory so a refreshed sign-in can be sealed again
+            const tokenKey = await createPassphraseKey(input.value, this.sealedToken.salt, this.sealedToken.iterations);
+            this.applyCredential(await decryptText(tokenKey.key, this.sealedToken));
+            this.tokenKey = tokenKey;
+        } catch (e) {
+            error.textContent = 'That passphrase did not unlock the token.';
+            error.classList.remove('hidden');
+            input.select();
+            return;
+        } finally {
+            button.disabled = false;
+        }
+
+        input.value = '';
+        error.classList.add('hidden');
+        this.closeModal('unlock-modal');
+        this.showNotification('GitHub unlocked', 'success');
+
+        // Jobs queued while locked can go out now
+        this.processSyncQueue({ source: 'unlock' });
+    }
+
+    lockToken() {
+        if (!this.sealedToken) return;
+        this.github.token = '';
+        this.oauth = null;
+        this.tokenKey = null;
+        this.loadGitHubSettings();
+        this.showNotification('GitHub locked until you enter your passphrase', 'info');
+    }
+
+    updateTokenPassphraseFields() {
+        const remember = document.getElementById('remember-token').checked;
+        document.getElementById('token-passphrase-fields').classList.toggle('hidden', !remember);
+        document.getElementById('token-passphrase').placeholder = this.sealedToken
+            ? 'Passphrase (leave blank to keep the current one)'
+            : 'Passphrase (at least 8 characters)';
+    }
+
+    updateEncryptionFields() {
+        const encrypt = document.getElementById('github-encrypt-notes').checked;
+        const repo = `${document.getElementById('github-owner').value}/${document.getElementById('github-repo').value}`;
+        document.getElementById('encryption-passphrase-fields').classList.toggle('hidden', !encrypt);
+        document.getElementById('encryption-passphrase').placeholder = this.noteKey?.repo === repo
+            ? 'Passphrase set up on this device (leave blank to keep it)'
+            : 'Encryption passphrase (at least 8 characters)';
+    }
+
+    async setupNoteEncryption(githubService, owner, repo, branch, passphrase) {
+        // A repo that is already encrypted keeps its salt; the check value tells a wrong passphrase apart
+        const config = await githubService.getEncryptionConfig(owner, repo, branch);
+        const salt = config ? base64ToBytes(config.salt) : crypto.getRandomValues(new Uint8Array(16));
+        const iterations = config ? config.iterations : PBKDF2_ITERATIONS;
+        const noteKey = {
+            key: await deriveKeyFromPassphrase(passphrase, salt, iterations),
+            salt,
+            iterations,
+            repo: `${owner}/${repo}`
+        };
+
+        if (config) {
+            const check = await openSealedNote(noteKey, config.check).catch(() => null);
+            if (check !== SEALED_NOTE_CHECK) {
+                throw new Error('That passphrase does not match the one this repository is encrypted with');
+            }
+        } else {
+            await githubService.createEncryptionConfig(owner, repo, branch, {
+                version: 1,
+                kdf: 'PBKDF2-SHA256',
+                iterations,
+                salt: bytesToBase64(salt),
+                check: await sealNote(noteKey, SEALED_NOTE_CHECK)
+            });
+        }
+
+        this.noteKey = noteKey;
+        await this.putStoredSetting('note-key', noteKey);
+        return !config;
+    }
+
+    async encryptSyncedNotes() {
+        // Notes committed before encryption was turned on are still plain text on GitHub
+        const notes = await new Promise((resolve, reject) => {
+            const request = this.db.transaction(['notes'], 'readonly').objectStore('notes').getAll();
+            request.onsuccess = () => resolve(request.result.filter(note => note.path && note.sha));
+            request.onerror = () => reject(request.error);
+        });
+        if (notes.length === 0) return;
+        if (!confirm(`Re-commit ${notes.length} synced notes encrypted? Earlier plain-text versions stay in the repository history.`)) return;
+
+        for (const note of notes) {
+            await this.enqueueNoteSync(note);
+        }
+        await this.loadSyncQueue();
+        this.processSyncQueue({ source: 'manual' });
+    }
+
     loadGitHubSettings() {
         document.getElementById('github-token').value = this.github.token;
         document.getElementById('github-owner').value = this.github.owner;
@@ -922,7 +4195,25 @@ class GitWrite {
         document.getElementById('github-branch').value = this.github.branch;
         document.getElementById('github-path').value = this.github.pathTemplate;
         document.getElementById('commit-message').value = this.github.commitMessage;
+        document.getElementById('github-batch-sync').checked = this.github.batchSync;
+        document.getElementById('github-front-matter').checked = this.github.frontMatter;
+        document.getElementById('batch-commit-message').value = this.github.batchCommitMessage;
         document.getElementById('remember-token').checked = this.github.rememberToken;
+        document.getElementById('token-passphrase').value = '';
+        document.getElementById('token-passphrase-confirm').value = '';
+        document.getElementById('lock-token').classList.toggle('hidden', !this.sealedToken || !this.github.token);
+        document.getElementById('github-encrypt-notes').checked = this.github.encryptNotes;
+        document.getElementById('oauth-client-id').value = this.github.oauthClientId;
+        document.getElementById('oauth-proxy').value = this.github.oauthProxy;
+        document.getElementById('encryption-passphrase').value = '';
+        document.getElementById('encryption-passphrase-confirm').value = '';
+        this.pendingOAuth = null;
+        this.updateTokenPassphraseFields();
+        this.updateEncryptionFields();
+        this.updateTemplatePreview();
+        document.getElementById('repo-picker').classList.add('hidden');
+        this.renderGitHubAccount();
+        this.loadBranches();
     }
 
     async saveGitHubSettings() {
@@ -932,47 +4223,141 @@ class GitWrite {
         const branch = document.getElementById('github-branch').value || 'main';
         const pathTemplate = document.getElementById('github-path').value;
         const commitMessage = document.getElementById('commit-message').value;
+        const batchSync = document.getElementById('github-batch-sync').checked;
+        const frontMatter = document.getElementById('github-front-matter').checked;
+        const batchCommitMessage = document.getElementById('batch-commit-message').value;
+        const rememberToken = document.getElementById('remember-token').checked;
+        const passphrase = document.getElementById('token-passphrase').value;
+        const passphraseConfirm = document.getElementById('token-passphrase-confirm').value;
+        const encryptNotes = document.getElementById('github-encrypt-notes').checked;
+        const encryptionPassphrase = document.getElementById('encryption-passphrase').value;
+        const encryptionPassphraseConfirm = document.getElementById('encryption-passphrase-confirm').value;
+        const oauthClientId = document.getElementById('oauth-client-id').value.trim();
+        const oauthProxy = document.getElementById('oauth-proxy').value.trim();
+
+        // A token from the device flow brings its refresh details; a pasted one has none
+        const signedIn = token === this.pendingOAuth?.token;
+        let oauth = token === this.github.token ? this.oauth : null;
+        if (signedIn) {
+            const { refreshToken, expiresAt, refreshTokenExpiresAt } = this.pendingOAuth;
+            oauth = { refreshToken, expiresAt, refreshTokenExpiresAt };
+        }
 
         if (!token || !owner || !repo) {
             this.showNotification('Please fill in required GitHub settings', 'error');
             return;
         }
 
+        // The sealed token can stay as it is unless the token or passphrase changes
+        const keepSealed = rememberToken && this.sealedToken && token === this.github.token && !passphrase;
+        if (rememberToken && !keepSealed) {
+            if (passphrase.length < 8) {
+                this.showNotification('Choose a passphrase of at least 8 characters to remember the token', 'error');
+                return;
+            }
+            if (passphrase !== passphraseConfirm) {
+                this.showNotification('The passphrases do not match', 'error');
+                return;
+            }
+        }
+
+        // The note key is per repo; a blank passphrase keeps the one already set up
+        const setupEncryption = encryptNotes && (!!encryptionPassphrase || this.noteKey?.repo !== `${owner}/${repo}`);
+        if (setupEncryption) {
+            if (encryptionPassphrase.length < 8) {
+                this.showNotification('Choose an encryption passphrase of at least 8 characters', 'error');
+                return;
+            }
+            if (encryptionPassphrase !== encryptionPassphraseConfirm) {
+                this.showNotification('The encryption passphrases do not match', 'error');
+                return;
+            }
+        }
+
         // Test connection before saving
         try {
+            // A bad token, missing repo or rate limit stops the save with GitHub's reason
             const service = new GitHubService(token);
-            await service.getFile(owner, repo, 'README.md', branch).catch(() => {
-                // Ignore if README.md doesn't exist
-            });
+            await service.getRepository(owner, repo);
+
+            let encryptionCreated = false;
+            if (setupEncryption) {
+                try {
+                    encryptionCreated = await this.setupNoteEncryption(service, owner, repo, branch, encryptionPassphrase);
+                } catch (error) {
+                    console.error('Encryption setup failed:', error);
+                    this.showNotification(error.message, 'error');
+                    return;
+                }
+            }
+            const startedEncrypting = encryptNotes && !this.github.encryptNotes;
 
             this.github = {
                 token,
                 owner,
                 repo,
                 branch,
-                pathTemplate: pathTemplate || 'notes/{{date}}.md',
-                commitMessage: commitMessage || 'Add note {{date}}'
+                pathTemplate: pathTemplate || 'notes/{{date}}-{{slug}}.md',
+                commitMessage: commitMessage || 'Add note {{date}}',
+                batchSync,
+                frontMatter,
+                batchCommitMessage: batchCommitMessage || 'Sync {{count}} notes\n\n{{notes}}',
+                rememberToken,
+                encryptNotes,
+                authMethod: oauth ? 'oauth' : 'token',
+                // The sign-in that produced the token is the one that can refresh it
+                oauthClientId: signedIn ? this.pendingOAuth.clientId : oauthClientId,
+                oauthProxy: signedIn ? this.pendingOAuth.proxy : oauthProxy
             };
-
-            localStorage.setItem('github-settings', JSON.stringify({
-                ...this.github,
-                token: this.github.rememberToken ? token : ''
-            }));
+            this.oauth = oauth;
+            this.pendingOAuth = null;
+
+            // Everything but the token is stored as is
+            const { token: _token, ...settings } = this.github;
+            await this.putStoredSetting('github', settings);
+
+            if (!rememberToken) {
+                this.sealedToken = null;
+                this.tokenKey = null;
+            } else if (!keepSealed) {
+                this.tokenKey = await createPassphraseKey(passphrase);
+                this.sealedToken = await sealWithKey(this.tokenKey, this.serializeCredential());
+            }
+            await this.putStoredSetting('github-token', this.sealedToken || undefined);
 
             this.closeModal('github-modal');
-            this.showNotification('GitHub settings saved', 'success');
+            this.showNotification(
+                rememberToken ? 'GitHub settings saved, token encrypted on this device' : 'GitHub settings saved, token kept for this session only',
+                'success'
+            );
+            if (encryptionCreated) {
+                this.showNotification('Notes will be encrypted before they are committed. Keep your passphrase safe: it cannot be recovered.', 'info');
+            }
+
+            if (startedEncrypting) {
+                await this.encryptSyncedNotes();
+            } else {
+                this.processSyncQueue({ source: 'unlock' });
+            }
         } catch (error) {
             console.error('GitHub connection test failed:', error);
-            this.showNotification('Invalid GitHub settings', 'error');
+            this.showNotification(`Could not save GitHub settings: ${error.message}`, 'error');
         }
     }
 
-    forgetToken() {
+    async forgetToken() {
         if (confirm('This will clear your GitHub token and all pending sync jobs. Continue?')) {
             this.github.token = '';
-            localStorage.removeItem('gitwrite-github');
-            sessionStorage.removeItem('gitwrite-github');
-            
+            this.github.rememberToken = false;
+            this.github.authMethod = 'token';
+            this.sealedToken = null;
+            this.oauth = null;
+            this.tokenKey = null;
+
+            const { token, ...settings } = this.github;
+            await this.putStoredSetting('github', settings);
+            await this.putStoredSetting('github-token', undefined);
+
             // Clear sync queue
             const transaction = this.db.transaction(['queue'], 'readwrite');
             const store = transaction.objectStore('queue');
@@ -984,6 +4369,387 @@ class GitWrite {
         }
     }
 
+    // ================================
+    // Sign in with GitHub
+    // ================================
+
+    serializeCredential() {
+        // What gets sealed: a bare PAT, or the token with its refresh details
+        return this.oauth ? JSON.stringify({ token: this.github.token, ...this.oauth }) : this.github.token;
+    }
+
+    applyCredential(text) {
+        if (!text.startsWith('{')) {
+            this.github.token = text;
+            this.oauth = null;
+            return;
+        }
+        const { token, ...oauth } = JSON.parse(text);
+        this.github.token = token;
+        this.oauth = oauth;
+    }
+
+    async refreshGitHubToken() {
+        // GitHub App user tokens expire after eight hours; renew them a little early
+        const oauth = this.oauth;
+        if (!oauth?.expiresAt || Date.parse(oauth.expiresAt) - Date.now() > 5 * 60 * 1000) return;
+
+        // Requests started together share one refresh
+        if (!this.tokenRefresh) {
+            this.tokenRefresh = this.renewGitHubToken(oauth).finally(() => {
+                this.tokenRefresh = null;
+            });
+        }
+        return this.tokenRefresh;
+    }
+
+    async renewGitHubToken(oauth) {
+        const expired = !oauth.refreshToken ||
+            (oauth.refreshTokenExpiresAt && Date.parse(oauth.refreshTokenExpiresAt) <= Date.now());
+        const data = expired
+            ? null
+            : await new GitHubOAuthClient(this.github.oauthProxy, this.github.oauthClientId).refreshToken(oauth.refreshToken);
+
+        if (!data?.access_token) {
+            // The refresh token ran out too; only a new sign-in helps
+            this.github.token = '';
+            this.oauth = null;
+            this.sealedToken = null;
+            await this.putStoredSetting('github-token', undefined);
+            this.showNotification('Your GitHub sign-in expired. Sign in again to keep syncing.', 'warning');
+            throw new Error(data?.error_description || 'GitHub sign-in expired');
+        }
+
+        const { token, ...refreshed } = GitHubOAuthClient.toCredential(data);
+        const input = document.getElementById('github-token');
+        if (input.value === this.github.token) {
+            input.value = token;
+        }
+        this.github.token = token;
+        this.oauth = refreshed;
+
+        // The refresh token is single use, so the sealed copy has to follow
+        if (this.github.rememberToken && this.tokenKey) {
+            this.sealedToken = await sealWithKey(this.tokenKey, this.serializeCredential());
+            await this.putStoredSetting('github-token', this.sealedToken);
+        }
+    }
+
+    async startDeviceLogin() {
+        const clientId = document.getElementById('oauth-client-id').value.trim();
+        const proxy = document.getElementById('oauth-proxy').value.trim();
+        if (!clientId || !proxy) {
+            document.getElementById('oauth-setup').open = true;
+            this.showNotification('Enter the client ID and sign-in proxy first', 'error');
+            return;
+        }
+
+        this.cancelDeviceLogin();
+        const client = new GitHubOAuthClient(proxy, clientId);
+        const flow = { client, clientId, proxy, timeout: null };
+        this.deviceFlow = flow;
+
+        try {
+            // GitHub Apps ignore the scope and use the permissions of their installation
+            const code = await client.requestDeviceCode('repo');
+            if (code.error) {
+                throw new Error(code.error_description || code.error);
+            }
+            if (this.deviceFlow !== flow) return;
+
+            flow.deviceCode = code.device_code;
+            flow.interval = code.interval || 5;
+            flow.expiresAt = Date.now() + code.expires_in * 1000;
+
+            document.getElementById('device-code').textContent = code.user_code;
+            document.getElementById('device-link').href = code.verification_uri;
+            document.getElementById('device-status').textContent = 'Waiting for you to approve GitWrite on GitHub…';
+            document.getElementById('device-flow').classList.remove('hidden');
+            document.getElementById('github-login').classList.add('hidden');
+            navigator.clipboard?.writeText(code.user_code).catch(() => {});
+
+            flow.timeout = setTimeout(() => this.pollDeviceLogin(flow), flow.interval * 1000);
+        } catch (error) {
+            console.error('Could not start GitHub sign-in:', error);
+            this.cancelDeviceLogin();
+            this.showNotification(`GitHub sign-in failed: ${error.message}`, 'error');
+        }
+    }
+
+    async pollDeviceLogin(flow) {
+        if (this.deviceFlow !== flow) return;
+
+        let data;
+        try {
+            data = await flow.client.pollDeviceToken(flow.deviceCode);
+        } catch (error) {
+            // A network hiccup shouldn't end the sign-in; try again next interval
+            data = { error: 'authorization_pending' };
+        }
+        if (this.deviceFlow !== flow) return;
+
+        if (data.access_token) {
+            this.pendingOAuth = {
+                ...GitHubOAuthClient.toCredential(data),
+                clientId: flow.clientId,
+                proxy: flow.proxy
+            };
+            this.cancelDeviceLogin();
+            document.getElementById('github-token').value = this.pendingOAuth.token;
+            this.renderGitHubAccount();
+            this.showNotification('Signed in to GitHub. Save the settings to finish connecting.', 'success');
+            return;
+        }
+
+        if (data.error === 'slow_down') {
+            flow.interval = data.interval || flow.interval + 5;
+        } else if (data.error !== 'authorization_pending' || Date.now() > flow.expiresAt) {
+            const reason = data.error === 'access_denied' ? 'the request was denied' : 'the code expired';
+            this.cancelDeviceLogin();
+            this.showNotification(`GitHub sign-in stopped: ${reason}`, 'warning');
+            return;
+        }
+
+        flow.timeout = setTimeout(() => this.pollDeviceLogin(flow), flow.interval * 1000);
+    }
+
+    cancelDeviceLogin() {
+        if (!this.deviceFlow) return;
+        clearTimeout(this.deviceFlow.timeout);
+        this.deviceFlow = null;
+        document.getElementById('device-flow').classList.add('hidden');
+        document.getElementById('github-login').classList.remove('hidden');
+    }
+
+    async createModalGitHubService() {
+        // The modal may hold a token that isn't saved yet, typed in or from a sign-in
+        const input = document.getElementById('github-token');
+        if (input.value && input.value === this.github.token) {
+            await this.refreshGitHubToken();
+        }
+        return input.value ? new GitHubService(input.value) : null;
+    }
+
+    async renderGitHubAccount() {
+        const element = document.getElementById('github-account');
+        const token = document.getElementById('github-token').value;
+        const owner = document.getElementById('github-owner').value;
+        const repo = document.getElementById('github-repo').value;
+        element.replaceChildren();
+        element.classList.toggle('hidden', !token);
+        if (!token) return;
+
+        element.textContent = 'Checking account…';
+        const rows = [];
+        const saved = token === this.github.token;
+        const pending = token === this.pendingOAuth?.token ? this.pendingOAuth : null;
+        const signedIn = !!pending || (saved && this.github.authMethod === 'oauth');
+        let service = null;
+        try {
+            service = await this.createModalGitHubService();
+            const account = await service.getAuthenticatedUser();
+
+            rows.push(['Account', `@${account.login} (${signedIn ? 'signed in with GitHub' : 'personal access token'})`]);
+            if (owner && repo) {
+                const repoData = await service.getRepository(owner, repo).catch(() => null);
+                const access = !repoData ? 'not accessible' : repoData.permissions?.push ? 'read and write' : 'read only';
+                rows.push(['Repository', `${owner}/${repo}, ${access}`]);
+            }
+            rows.push(['Scopes', account.scopes || (signedIn
+                ? 'none, access comes from the GitHub App installation'
+                : 'none, fine-grained token permissions')]);
+
+            const oauth = pending || (saved ? this.oauth : null);
+            const expiresAt = oauth?.expiresAt || account.expiresAt;
+            if (expiresAt) {
+                const refreshes = !!oauth?.refreshToken;
+                rows.push(['Expires', `${new Date(expiresAt).toLocaleString()}${refreshes ? ', renewed automatically' : ''}`]);
+            }
+        } catch (error) {
+            rows.push(['Account', `Could not check this token: ${error.message}`]);
+        }
+
+        // The token field may have changed while the requests were out (a refresh updates it too)
+        if (document.getElementById('github-token').value !== (service?.token ?? token)) return;
+        element.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.className = 'github-account-label';
+            name.textContent = label;
+            row.append(name, value);
+            return row;
+        }));
+    }
+
+    // ================================
+    // Repository Picker
+    // ================================
+
+    async toggleRepoPicker() {
+        const picker = document.getElementById('repo-picker');
+        if (!picker.classList.contains('hidden')) {
+            picker.classList.add('hidden');
+            return;
+        }
+
+        picker.classList.remove('hidden');
+        document.getElementById('repo-search').focus();
+        await this.loadRepositories();
+    }
+
+    async loadRepositories() {
+        const list = document.getElementById('repo-list');
+        const service = await this.createModalGitHubService().catch(() => null);
+        if (!service) {
+            list.textContent = 'Sign in or paste a token to see your repositories.';
+            return;
+        }
+
+        // Listed once per token while the modal is in use
+        if (this.repoListing?.token !== service.token) {
+            list.textContent = 'Loading repositories…';
+            try {
+                this.repoListing = { token: service.token, repos: await service.listRepositories() };
+            } catch (error) {
+                console.error('Failed to list repositories:', error);
+                list.textContent = `Could not list repositories: ${error.message}`;
+                return;
+            }
+        }
+
+        this.renderRepoList();
+    }
+
+    renderRepoList() {
+        const list = document.getElementById('repo-list');
+        if (!this.repoListing) return;
+
+        const query = document.getElementById('repo-search').value.trim().toLowerCase();
+        const repos = this.repoListing.repos.filter(repo =>
+            !query || repo.full_name.toLowerCase().includes(query) || (repo.description || '').toLowerCase().includes(query)
+        );
+
+        if (repos.length === 0) {
+            list.textContent = query ? 'No repositories match.' : 'This token cannot see any repositories.';
+            return;
+        }
+
+        list.replaceChildren(...repos.map(repo => {
+            const item = document.createElement('div');
+            item.className = 'repo-item';
+            item.dataset.owner = repo.owner.login;
+            item.dataset.repo = repo.name;
+            item.dataset.branch = repo.default_branch;
+
+            const name = document.createElement('span');
+            name.className = 'repo-name';
+            name.textContent = repo.full_name;
+
+            const visibility = document.createElement('span');
+            visibility.className = `repo-badge ${repo.private ? 'private' : 'public'}`;
+            visibility.textContent = repo.private ? 'Private' : 'Public';
+            item.append(name, visibility);
+
+            if (repo.permissions && !repo.permissions.push) {
+                const readOnly = document.createElement('span');
+                readOnly.className = 'repo-badge';
+                readOnly.textContent = 'Read only';
+                item.append(readOnly);
+            }
+            return item;
+        }));
+    }
+
+    selectRepository(owner, repo, branch) {
+        document.getElementById('github-owner').value = owner;
+        document.getElementById('github-repo').value = repo;
+        document.getElementById('github-branch').value = branch;
+        document.getElementById('repo-picker').classList.add('hidden');
+
+        this.updateEncryptionFields();
+        this.loadBranches();
+        this.renderGitHubAccount();
+    }
+
+    handleRepoListClick(e) {
+        const item = e.target.closest('.repo-item');
+        if (!item) return;
+        this.selectRepository(item.dataset.owner, item.dataset.repo, item.dataset.branch);
+    }
+
+    async loadBranches() {
+        const datalist = document.getElementById('github-branch-list');
+        const owner = document.getElementById('github-owner').value.trim();
+        const repo = document.getElementById('github-repo').value.trim();
+        datalist.replaceChildren();
+        if (!owner || !repo) return;
+
+        try {
+            const service = await this.createModalGitHubService();
+            if (!service) return;
+            const branches = await service.listBranches(owner, repo);
+
+            // Owner or repo may have changed while the list was loading
+            if (document.getElementById('github-owner').value.trim() !== owner ||
+                document.getElementById('github-repo').value.trim() !== repo) return;
+
+            datalist.replaceChildren(...branches.map(branch => {
+                const option = document.createElement('option');
+                option.value = branch.name;
+                return option;
+            }));
+        } catch (error) {
+            // Typing a branch by hand still works
+            console.error('Failed to list branches:', error);
+        }
+    }
+
+    async createNotesRepository() {
+        const service = await this.createModalGitHubService().catch(() => null);
+        if (!service) {
+            this.showNotification('Sign in or paste a token first', 'error');
+            return;
+        }
+
+        const button = document.getElementById('create-notes-repo');
+        button.disabled = true;
+        try {
+            const repo = await service.createRepository('gitwrite-notes', {
+                description: 'Notes written with GitWrite',
+                isPrivate: true
+            });
+            this.repoListing = null;
+
+            // Git has no empty folders; a placeholder file makes the notes folder show up
+            const directory = this.getNotesDirectory(document.getElementById('github-path').value);
+            if (directory) {
+                await service.createOrUpdateFile(
+                    repo.owner.login,
+                    repo.name,
+                    `${directory}/.gitkeep`,
+                    '',
+                    'Add notes folder',
+                    repo.default_branch
+                ).catch(error => {
+                    console.error('Failed to create the notes folder:', error);
+                });
+            }
+
+            this.selectRepository(repo.owner.login, repo.name, repo.default_branch);
+            this.showNotification(`Created private repository ${repo.full_name}. Save the settings to start syncing.`, 'success');
+        } catch (error) {
+            console.error('Failed to create repository:', error);
+            this.showNotification(
+                error.type === 'conflict'
+                    ? 'A gitwrite-notes repository already exists. Choose it from the list instead.'
+                    : `Could not create the repository: ${error.message}`,
+                'error'
+            );
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     // ================================
     // Event Handlers
     // ================================
@@ -1009,9 +4775,8 @@ class GitWrite {
         if (e.key === 'Escape') {
             this.closeSidebar();
             document.querySelectorAll('.modal.active').forEach(modal => {
-                modal.classList.remove('active');
+                this.closeModal(modal.id);
             });
-            document.getElementById('modal-overlay').classList.remove('active');
         }
 
         if (cmdKey) {
@@ -1024,13 +4789,27 @@ class GitWrite {
                     e.preventDefault();
                     this.toggleSidebar();
                     break;
+                case 'e':
+                    e.preventDefault();
+                    this.cycleViewMode();
+                    break;
             }
         }
     }
 
     handleOnline() {
         this.updateSyncIndicator('online');
-        this.processSyncQueue();
+
+        if (!this.backgroundSyncSupported) {
+            this.processSyncQueue({ source: 'online' });
+            return;
+        }
+
+        // The worker's sync event should flush the queue; fall back if it never arrives
+        clearTimeout(this.onlineFallbackTimeout);
+        this.onlineFallbackTimeout = setTimeout(() => {
+            this.processSyncQueue({ source: 'online' });
+        }, 10 * 1000);
     }
 
     handleOffline() {
@@ -1054,7 +4833,9 @@ class GitWrite {
     }
 
     handleBeforeUnload(e) {
-        if (this.editor.value.trim() && this.editor.value !== this.currentNote.content) {
+        const session = this.freewriteSession;
+        const unsavedSession = session?.mode === 'keep-going' && this.editor.value !== session.baseline;
+        if (unsavedSession || (this.editor.value.trim() && this.editor.value !== this.currentNote.content)) {
             e.preventDefault();
             e.returnValue = '';
         }
@@ -1066,7 +4847,8 @@ class GitWrite {
             return;
         }
         
-        this.processSyncQueue();
+        // Manual sync skips any backoff delay
+        this.processSyncQueue({ force: true, source: 'manual' });
     }
 
     // ================================
@@ -1074,14 +4856,6 @@ class GitWrite {
     // ================================
 
     restoreNote() {
-        // Try to restore from localStorage or sessionStorage
-        const githubSettings = localStorage.getItem('gitwrite-github') || 
-                              sessionStorage.getItem('gitwrite-github');
-        
-        if (githubSettings) {
-            this.github = { ...this.github, ...JSON.parse(githubSettings) };
-        }
-        
         // Focus editor
         setTimeout(() => {
             this.editor.focus();
@@ -1092,12 +4866,15 @@ class GitWrite {
         // Initial word count
         this.updateWordCount();
         
-        // Start processing sync queue if online
-        if (navigator.onLine) {
-            setTimeout(() => {
-                this.processSyncQueue();
-            }, 1000);
-        }
+        // Flush jobs left from a previous session, or hand them to background sync
+        setTimeout(async () => {
+            await this.loadSyncQueue();
+            if (navigator.onLine) {
+                this.processSyncQueue({ source: 'startup' });
+            } else {
+                this.requestBackgroundSync();
+            }
+        }, 1000);
         
         // Clean up completed jobs periodically
         setInterval(() => {
@@ -1125,14 +4902,6 @@ class GitWrite {
     }
 }
 
-// ================================
-// Global Functions
-// ================================
-
-function closeModal(modalId) {
-    gitwrite.closeModal(modalId);
-}
-
 // ================================
 // Initialize App
 // ================================
@@ -1141,7 +4910,4 @@ let gitwrite;
 
 document.addEventListener('DOMContentLoaded', () => {
     gitwrite = new GitWrite();
-});
-
-// Make gitwrite globally available for onclick handlers
-window.gitwrite = gitwrite;
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,64 +1,478 @@
-class RainSound {
-    constructor() {
-        this.audio = null;
-        this.initialized = false;
-        this.audioPath = './audio/rain.mp3';
-        this.initAudio();
+// One AudioContext for every sound in the app. Browsers only let it start
+// (or resume) during a user gesture, so it is created on first use.
+let sharedAudioContext = null;
+
+function getAudioContext() {
+    if (!sharedAudioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        sharedAudioContext = new AudioContextClass({ latencyHint: 'interactive' });
     }
+    if (sharedAudioContext.state === 'suspended') {
+        sharedAudioContext.resume().catch(() => { /* Ignore autoplay errors */ });
+    }
+    return sharedAudioContext;
+}
 
-    initAudio() {
-        try {
-            console.log('Initializing audio with path:', this.audioPath);
-            
-            // Test if file exists first
-            fetch(this.audioPath)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`Audio file not found: ${this.audioPath}`);
-                    }
-                    console.log('Audio file found successfully');
-                })
-                .catch(error => {
-                    console.error('Failed to load audio file:', error);
-                });
-
-            this.audio = new Audio(this.audioPath);
-            this.audio.loop = true;
-            this.volume = localStorage.getItem('rain-volume') || 0.5;
-            this.audio.volume = this.volume;
-
-            this.audio.addEventListener('loadeddata', () => {
-                console.log('Audio file loaded successfully');
-                this.initialized = true;
+// ================================
+// Ambient soundscapes
+//
+// Layers are mixed with the Web Audio API. Each plays a looping AudioBuffer,
+// which (unlike <audio loop>) restarts without a gap. Every layer can be
+// generated in the browser, so nothing has to be downloaded; rain prefers the
+// recorded loop when it's available.
+// ================================
+
+const AMBIENT_BUFFER_SECONDS = 12;
+
+function whiteNoise(length) {
+    const data = new Float32Array(length);
+    for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+    return data;
+}
+
+function pinkNoise(length) {
+    // Paul Kellet's economy filter
+    const data = new Float32Array(length);
+    let b0 = 0, b1 = 0, b2 = 0;
+    for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        b0 = 0.99765 * b0 + white * 0.0990460;
+        b1 = 0.96300 * b1 + white * 0.2965164;
+        b2 = 0.57000 * b2 + white * 1.0526913;
+        data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+    }
+    return data;
+}
+
+function brownNoise(length) {
+    const data = new Float32Array(length);
+    let last = 0;
+    for (let i = 0; i < length; i++) {
+        last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+        data[i] = last * 3.5;
+    }
+    // Random walks end somewhere else than they start; level the drift so the loop point doesn't click
+    const drift = data[length - 1] - data[0];
+    for (let i = 0; i < length; i++) data[i] -= (drift * i) / (length - 1);
+    return data;
+}
+
+function addBursts(data, sampleRate, { count, seconds, amplitude, tone = null }) {
+    // Short decaying events (drops, crackles, cup clinks), wrapped around the loop point
+    for (let n = 0; n < count; n++) {
+        const start = Math.floor(Math.random() * data.length);
+        const length = Math.floor(sampleRate * seconds * (0.5 + Math.random()));
+        const peak = amplitude * (0.3 + Math.random() * 0.7);
+        const frequency = tone ? tone * (0.8 + Math.random() * 0.4) : 0;
+
+        for (let i = 0; i < length; i++) {
+            const envelope = peak * Math.exp((-6 * i) / length);
+            const sample = tone ? Math.sin((2 * Math.PI * frequency * i) / sampleRate) : Math.random() * 2 - 1;
+            data[(start + i) % data.length] += sample * envelope;
+        }
+    }
+    return data;
+}
+
+function normalizeBuffer(data, peak = 0.8) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) max = Math.max(max, Math.abs(data[i]));
+    if (max > 0) {
+        for (let i = 0; i < data.length; i++) data[i] *= peak / max;
+    }
+    return data;
+}
+
+const AMBIENT_LAYERS = {
+    rain: {
+        label: 'Rain',
+        file: './audio/rain.mp3',
+        filters: [['highpass', 400], ['lowpass', 8000]],
+        generate: (sampleRate, length) => addBursts(pinkNoise(length), sampleRate, {
+            count: AMBIENT_BUFFER_SECONDS * 30,
+            seconds: 0.015,
+            amplitude: 0.6
+        })
+    },
+    cafe: {
+        label: 'Café',
+        filters: [['highpass', 120], ['lowpass', 2800]],
+        generate: (sampleRate, length) => {
+            // Murmur that swells a whole number of times per loop, plus the odd cup
+            const data = brownNoise(length);
+            for (let i = 0; i < length; i++) {
+                data[i] *= 0.7 + 0.3 * Math.sin((2 * Math.PI * 5 * i) / length);
+            }
+            return addBursts(data, sampleRate, {
+                count: Math.round(AMBIENT_BUFFER_SECONDS / 3),
+                seconds: 0.25,
+                amplitude: 0.25,
+                tone: 2200
             });
+        }
+    },
+    brown: {
+        label: 'Brown noise',
+        filters: [],
+        generate: (sampleRate, length) => brownNoise(length)
+    },
+    fireplace: {
+        label: 'Fireplace',
+        filters: [['lowpass', 5000]],
+        generate: (sampleRate, length) => {
+            const data = brownNoise(length).map(sample => sample * 0.4);
+            addBursts(data, sampleRate, { count: AMBIENT_BUFFER_SECONDS * 10, seconds: 0.004, amplitude: 1 });
+            return addBursts(data, sampleRate, { count: AMBIENT_BUFFER_SECONDS * 2, seconds: 0.03, amplitude: 0.5 });
+        }
+    }
+};
+
+// Layer volumes (0-100) for the bundled presets
+const AMBIENT_PRESETS = {
+    'Rainy day': { rain: 70, cafe: 0, brown: 15, fireplace: 0 },
+    'Coffee shop': { rain: 0, cafe: 70, brown: 0, fireplace: 0 },
+    'Cabin': { rain: 40, cafe: 0, brown: 0, fireplace: 65 },
+    'Deep focus': { rain: 0, cafe: 0, brown: 60, fireplace: 0 }
+};
+
+class AmbientMixer {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        this.buffers = new Map(); // layer id -> Promise<{ buffer, recorded }>
+        this.nodes = new Map(); // layer id -> { source, gain } while playing
+        this.mix = { master: 50, layers: { rain: 50 } };
+        this.playing = false;
+    }
+
+    // Volumes are 0-100 in the UI; squared so the slider feels even
+    static gainFor(value) {
+        return Math.pow(Math.max(0, Math.min(100, Number(value) || 0)) / 100, 2);
+    }
 
-            this.audio.addEventListener('error', (e) => {
-                console.error('Audio loading error:', {
-                    error: this.audio.error,
-                    src: this.audio.src,
-                    readyState: this.audio.readyState
-                });
+    ensureContext() {
+        const context = getAudioContext();
+        if (!context) return false;
+        if (this.context) return true;
+
+        this.context = context;
+        this.master = this.context.createGain();
+        this.master.gain.value = 0;
+        this.master.connect(this.context.destination);
+        return true;
+    }
+
+    setMix(mix) {
+        this.mix = { master: mix.master, layers: { ...mix.layers } };
+        if (!this.playing) return;
+
+        this.master.gain.setTargetAtTime(AmbientMixer.gainFor(this.mix.master), this.context.currentTime, 0.1);
+        Object.keys(AMBIENT_LAYERS).forEach(id => this.updateLayer(id));
+    }
+
+    async play() {
+        if (!this.ensureContext()) return;
+        this.playing = true;
+
+        // Fade in rather than starting at full volume
+        this.master.gain.cancelScheduledValues(this.context.currentTime);
+        this.master.gain.setTargetAtTime(AmbientMixer.gainFor(this.mix.master), this.context.currentTime, 0.5);
+        await Promise.all(Object.keys(AMBIENT_LAYERS).map(id => this.updateLayer(id)));
+    }
+
+    stop() {
+        this.playing = false;
+        if (!this.context) return;
+
+        this.master.gain.cancelScheduledValues(this.context.currentTime);
+        this.master.gain.setTargetAtTime(0, this.context.currentTime, 0.15);
+
+        setTimeout(() => {
+            if (this.playing) return;
+            [...this.nodes.keys()].forEach(id => this.stopLayer(id));
+        }, 1000);
+    }
+
+    async updateLayer(id) {
+        const gain = AmbientMixer.gainFor(this.mix.layers[id]);
+        const node = this.nodes.get(id);
+
+        if (node) {
+            node.gain.gain.setTargetAtTime(gain, this.context.currentTime, 0.1);
+            return;
+        }
+        if (!gain || !this.playing) return;
+
+        const { buffer, recorded } = await this.getBuffer(id);
+        // The mix may have changed while the buffer was generated or decoded
+        if (!this.playing || this.nodes.has(id)) return;
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+
+        const layerGain = this.context.createGain();
+        layerGain.gain.value = AmbientMixer.gainFor(this.mix.layers[id]);
+
+        let output = source;
+        if (!recorded) {
+            AMBIENT_LAYERS[id].filters.forEach(([type, frequency]) => {
+                const filter = this.context.createBiquadFilter();
+                filter.type = type;
+                filter.frequency.value = frequency;
+                output = output.connect(filter);
             });
+        }
+        output.connect(layerGain).connect(this.master);
 
-        } catch (error) {
-            console.error('Audio initialization failed:', error);
+        // Random start so layers sharing a loop length don't repeat in step
+        source.start(0, Math.random() * buffer.duration);
+        this.nodes.set(id, { source, gain: layerGain });
+    }
+
+    stopLayer(id) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+        node.source.stop();
+        node.gain.disconnect();
+        this.nodes.delete(id);
+    }
+
+    getBuffer(id) {
+        if (!this.buffers.has(id)) {
+            this.buffers.set(id, this.loadBuffer(id));
         }
+        return this.buffers.get(id);
     }
 
-    play() {
-        this.audio.play().catch(error => {
-            console.warn('Audio playback failed:', error);
+    async loadBuffer(id) {
+        const layer = AMBIENT_LAYERS[id];
+
+        if (layer.file) {
+            try {
+                const response = await fetch(layer.file);
+                if (!response.ok) {
+                    throw new Error(`Audio file not found: ${layer.file}`);
+                }
+                const buffer = await this.context.decodeAudioData(await response.arrayBuffer());
+                return { buffer, recorded: true };
+            } catch (error) {
+                console.warn(`Using generated ${layer.label.toLowerCase()} instead:`, error);
+            }
+        }
+
+        const { sampleRate } = this.context;
+        const length = sampleRate * AMBIENT_BUFFER_SECONDS;
+        const buffer = this.context.createBuffer(1, length, sampleRate);
+        buffer.copyToChannel(normalizeBuffer(layer.generate(sampleRate, length)), 0);
+        return { buffer, recorded: false };
+    }
+}
+
+// End-of-phase chimes, synthesized so there is no extra file to cache
+class Chime {
+    constructor() {
+        this.context = null;
+        this.patterns = {
+            work: [523.25, 659.25], // rising: back to writing
+            break: [659.25, 523.25], // falling: time for a break
+            done: [523.25, 659.25, 783.99]
+        };
+    }
+
+    prime() {
+        // Called from the click that starts the timer, so later chimes may play
+        this.context = getAudioContext();
+    }
+
+    play(kind) {
+        this.prime();
+        if (!this.context) return;
+
+        const start = this.context.currentTime;
+        this.patterns[kind].forEach((frequency, i) => {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            const at = start + i * 0.25;
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, at);
+            gain.gain.exponentialRampToValueAtTime(0.3, at + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.8);
+
+            oscillator.connect(gain).connect(this.context.destination);
+            oscillator.start(at);
+            oscillator.stop(at + 0.8);
         });
     }
+}
 
-    stop() {
-        this.audio.pause();
-        this.audio.currentTime = 0;
+// ================================
+// Typing sounds
+//
+// Each pack has a sound for ordinary keys, Space, Enter and Backspace. They're
+// decoded or synthesized once into AudioBuffers; every keystroke then starts
+// its own buffer source, so fast typing overlaps instead of cutting off.
+// ================================
+
+function synthesizeKeystroke(sampleRate, {
+    click = 0.004, // seconds of noise from the key hitting home
+    tone = 4000, // brightness of the click
+    thump = 0.5, // level of the low body resonance
+    thumpHz = 150,
+    body = 0.04, // seconds the body rings
+    slide = 0, // seconds of carriage-return slide before the stroke
+    bell = 0 // level of a typewriter margin bell
+}) {
+    const slideLength = Math.floor(sampleRate * slide);
+    const length = slideLength + Math.floor(sampleRate * Math.max(click, body, bell ? 0.9 : 0) * 1.5);
+    const data = new Float32Array(length);
+
+    // Carriage return: a rising then falling rush of noise
+    let low = 0;
+    for (let i = 0; i < slideLength; i++) {
+        low += 0.05 * ((Math.random() * 2 - 1) - low);
+        data[i] = low * 2 * Math.sin((Math.PI * i) / slideLength);
+    }
+
+    // One-pole lowpass: higher tone lets more of the noise through
+    const smoothing = 1 - Math.exp((-2 * Math.PI * tone) / sampleRate);
+    const clickLength = Math.floor(sampleRate * click);
+    const bodyLength = Math.floor(sampleRate * body);
+    low = 0;
+    for (let i = 0; i < length - slideLength; i++) {
+        let sample = 0;
+        if (i < clickLength) {
+            low += smoothing * ((Math.random() * 2 - 1) - low);
+            sample += low * Math.exp((-5 * i) / clickLength);
+        }
+        if (i < bodyLength * 1.5) {
+            sample += thump * Math.sin((2 * Math.PI * thumpHz * i) / sampleRate) * Math.exp((-5 * i) / bodyLength);
+        }
+        if (bell) {
+            const t = i / sampleRate;
+            sample += bell * (Math.sin(2 * Math.PI * 2093 * t) + 0.4 * Math.sin(2 * Math.PI * 3136 * t)) * Math.exp(-5 * t);
+        }
+        data[slideLength + i] += sample;
+    }
+
+    return normalizeBuffer(data, 0.9);
+}
+
+const TYPING_SOUND_PACKS = {
+    typewriter: {
+        label: 'Typewriter',
+        sounds: {
+            key: { synth: { click: 0.006, tone: 5000, thump: 0.6, thumpHz: 180, body: 0.04 } },
+            space: { synth: { click: 0.008, tone: 3000, thump: 0.8, thumpHz: 110, body: 0.06 } },
+            enter: { synth: { click: 0.01, tone: 3000, thump: 0.8, thumpHz: 90, body: 0.08, slide: 0.3, bell: 0.35 } },
+            backspace: { synth: { click: 0.005, tone: 2500, thump: 0.4, thumpHz: 220, body: 0.03 } }
+        }
+    },
+    mechanical: {
+        // The original click recording, pitched per key
+        label: 'Mechanical',
+        sounds: {
+            key: { file: './audio/click.mp3', synth: { click: 0.003, tone: 7000, thump: 0.3, thumpHz: 300, body: 0.02 } },
+            space: { file: './audio/click.mp3', rate: 0.8, synth: { click: 0.004, tone: 5000, thump: 0.4, thumpHz: 200, body: 0.03 } },
+            enter: { file: './audio/click.mp3', rate: 0.7, synth: { click: 0.005, tone: 4000, thump: 0.5, thumpHz: 160, body: 0.04 } },
+            backspace: { file: './audio/click.mp3', rate: 1.15, synth: { click: 0.003, tone: 8000, thump: 0.25, thumpHz: 350, body: 0.02 } }
+        }
+    },
+    soft: {
+        label: 'Soft',
+        sounds: {
+            key: { synth: { click: 0.002, tone: 1200, thump: 0.5, thumpHz: 140, body: 0.03 } },
+            space: { synth: { click: 0.003, tone: 900, thump: 0.6, thumpHz: 100, body: 0.04 } },
+            enter: { synth: { click: 0.003, tone: 900, thump: 0.7, thumpHz: 85, body: 0.07 } },
+            backspace: { synth: { click: 0.002, tone: 1500, thump: 0.4, thumpHz: 170, body: 0.025 } }
+        }
+    }
+};
+
+class TypingSounds {
+    constructor() {
+        this.context = null;
+        this.buffers = new Map(); // "pack:kind" -> AudioBuffer
+        this.loading = new Map(); // pack -> Promise
+        this.files = new Map(); // url -> Promise<AudioBuffer|null>, shared between sounds
+        this.pack = 'mechanical';
+        this.volume = 0.5;
+    }
+
+    setPack(pack) {
+        this.pack = TYPING_SOUND_PACKS[pack] ? pack : 'mechanical';
     }
 
     setVolume(value) {
-        this.volume = value / 100;
-        this.audio.volume = this.volume;
-        localStorage.setItem('rain-volume', this.volume);
+        this.volume = Math.max(0, Math.min(100, Number(value) || 0)) / 100;
+    }
+
+    play(kind) {
+        this.context = getAudioContext();
+        if (!this.context) return;
+
+        const buffer = this.buffers.get(`${this.pack}:${kind}`);
+        if (!buffer) {
+            // The first keystroke loads the pack; later ones are instant
+            this.load(this.pack);
+            return;
+        }
+
+        const { rate = 1 } = TYPING_SOUND_PACKS[this.pack].sounds[kind];
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        // Slight pitch and level variation so repeated keys don't sound identical
+        source.playbackRate.value = rate * (0.96 + Math.random() * 0.08);
+
+        const gain = this.context.createGain();
+        gain.gain.value = this.volume * (0.85 + Math.random() * 0.3);
+
+        source.connect(gain).connect(this.context.destination);
+        source.start();
+    }
+
+    load(pack) {
+        this.context = getAudioContext();
+        if (!this.context) return Promise.resolve();
+
+        if (!this.loading.has(pack)) {
+            this.loading.set(pack, Promise.all(
+                Object.entries(TYPING_SOUND_PACKS[pack].sounds).map(async ([kind, sound]) => {
+                    this.buffers.set(`${pack}:${kind}`, await this.loadSound(sound));
+                })
+            ));
+        }
+        return this.loading.get(pack);
+    }
+
+    async loadSound(sound) {
+        if (sound.file) {
+            if (!this.files.has(sound.file)) {
+                this.files.set(sound.file, this.decodeFile(sound.file));
+            }
+            const buffer = await this.files.get(sound.file);
+            if (buffer) return buffer;
+        }
+
+        const data = synthesizeKeystroke(this.context.sampleRate, sound.synth);
+        const buffer = this.context.createBuffer(1, data.length, this.context.sampleRate);
+        buffer.copyToChannel(data, 0);
+        return buffer;
+    }
+
+    async decodeFile(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Audio file not found: ${url}`);
+            }
+            return await this.context.decodeAudioData(await response.arrayBuffer());
+        } catch (error) {
+            console.warn('Using generated typing sounds instead:', error);
+            return null;
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,132 @@
+// ================================
+// Passphrase encryption (WebCrypto)
+//
+// PBKDF2-SHA-256 stretches a passphrase into an AES-GCM key. Each encryption
+// uses a fresh IV; the salt and iteration count are kept next to the
+// ciphertext so the same key can be derived again to decrypt.
+// ================================
+
+const PBKDF2_ITERATIONS = 600000;
+
+async function deriveKeyFromPassphrase(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+}
+
+async function decryptText(key, { iv, ciphertext }) {
+    // Throws if the key is wrong or the data was tampered with
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return new TextDecoder().decode(plaintext);
+}
+
+// { key, salt, iterations }: kept in memory to seal new data under the same passphrase
+async function createPassphraseKey(passphrase, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS) {
+    return { key: await deriveKeyFromPassphrase(passphrase, salt, iterations), salt, iterations };
+}
+
+async function sealWithKey({ key, salt, iterations }, text) {
+    return { salt, iterations, ...(await encryptText(key, text)) };
+}
+
+// ================================
+// Encrypted notes
+//
+// With end-to-end encryption on, every file GitWrite commits is replaced by an
+// armored envelope (format documented in docs/ENCRYPTION.md). The key comes
+// from the repo's passphrase and the salt in .gitwrite/encryption.json, so all
+// devices share it; each envelope repeats the salt and iteration count so the
+// passphrase alone is enough to recover a note.
+// ================================
+
+const SEALED_NOTE_BEGIN = '-----BEGIN GITWRITE ENCRYPTED NOTE-----';
+const SEALED_NOTE_END = '-----END GITWRITE ENCRYPTED NOTE-----';
+const SEALED_NOTE_CHECK = 'gitwrite-encryption-check';
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function isSealedNote(text) {
+    return typeof text === 'string' && text.trimStart().startsWith(SEALED_NOTE_BEGIN);
+}
+
+// noteKey: { key, salt, iterations } as derived for the repo
+async function sealNote(noteKey, text) {
+    const { iv, ciphertext } = await encryptText(noteKey.key, text);
+    const body = bytesToBase64(ciphertext).match(/.{1,64}/g) || [];
+
+    return [
+        SEALED_NOTE_BEGIN,
+        'Version: 1',
+        'KDF: PBKDF2-SHA256',
+        `Iterations: ${noteKey.iterations}`,
+        `Salt: ${bytesToBase64(noteKey.salt)}`,
+        'Cipher: AES-256-GCM',
+        `IV: ${bytesToBase64(iv)}`,
+        '',
+        ...body,
+        SEALED_NOTE_END,
+        ''
+    ].join('\n');
+}
+
+function parseSealedNote(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const end = lines.indexOf(SEALED_NOTE_END);
+    const blank = lines.indexOf('');
+    if (lines[0] !== SEALED_NOTE_BEGIN || end === -1 || blank === -1 || blank > end) {
+        throw new Error('Not a GitWrite encrypted note');
+    }
+
+    const headers = {};
+    lines.slice(1, blank).forEach(line => {
+        const colon = line.indexOf(':');
+        headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+    });
+    if (headers.version !== '1' || headers.kdf !== 'PBKDF2-SHA256' || headers.cipher !== 'AES-256-GCM') {
+        throw new Error('Unsupported encrypted note format');
+    }
+
+    return {
+        iterations: Number(headers.iterations),
+        salt: base64ToBytes(headers.salt),
+        iv: base64ToBytes(headers.iv),
+        ciphertext: base64ToBytes(lines.slice(blank + 1, end).join(''))
+    };
+}
+
+async function openSealedNote(noteKey, text) {
+    const sealed = parseSealedNote(text);
+    if (bytesToBase64(sealed.salt) !== bytesToBase64(noteKey.salt) || sealed.iterations !== noteKey.iterations) {
+        // Same passphrase or not, a different salt means a different key
+        throw new Error('This note was encrypted with a different encryption setup');
+    }
+    return decryptText(noteKey.key, sealed);
+}
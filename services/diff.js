@@ -0,0 +1,114 @@
+// ================================
+// Line diff helpers for the merge view
+// ================================
+
+// Longest-common-subsequence diff; returns equal/removed/added operations
+function diffLines(a, b) {
+    const left = a.split('\n');
+    const right = b.split('\n');
+
+    // Trim the shared head and tail so the LCS table stays small
+    let start = 0;
+    while (start < left.length && start < right.length && left[start] === right[start]) {
+        start++;
+    }
+
+    let endLeft = left.length;
+    let endRight = right.length;
+    while (endLeft > start && endRight > start && left[endLeft - 1] === right[endRight - 1]) {
+        endLeft--;
+        endRight--;
+    }
+
+    const n = endLeft - start;
+    const m = endRight - start;
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = left[start + i] === right[start + j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const ops = left.slice(0, start).map(line => ({ type: 'equal', line }));
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && left[start + i] === right[start + j]) {
+            ops.push({ type: 'equal', line: left[start + i] });
+            i++;
+            j++;
+        } else if (j < m && (i === n || table[i][j + 1] >= table[i + 1][j])) {
+            ops.push({ type: 'added', line: right[start + j] });
+            j++;
+        } else {
+            ops.push({ type: 'removed', line: left[start + i] });
+            i++;
+        }
+    }
+
+    return ops.concat(left.slice(endLeft).map(line => ({ type: 'equal', line })));
+}
+
+// Group consecutive changes into hunks of { local, remote } lines
+function diffHunks(ops) {
+    const hunks = [];
+    let current = null;
+
+    for (const op of ops) {
+        if (op.type === 'equal') {
+            current = null;
+            hunks.push({ type: 'equal', lines: [op.line] });
+            continue;
+        }
+
+        if (!current) {
+            current = { type: 'change', local: [], remote: [] };
+            hunks.push(current);
+        }
+        (op.type === 'removed' ? current.local : current.remote).push(op.line);
+    }
+
+    return hunks;
+}
+
+// Side-by-side rows; null marks a blank filler cell
+function diffRows(ops) {
+    const rows = [];
+
+    for (const hunk of diffHunks(ops)) {
+        if (hunk.type === 'equal') {
+            rows.push({ type: 'equal', left: hunk.lines[0], right: hunk.lines[0] });
+            continue;
+        }
+
+        const length = Math.max(hunk.local.length, hunk.remote.length);
+        for (let k = 0; k < length; k++) {
+            rows.push({
+                type: 'change',
+                left: k < hunk.local.length ? hunk.local[k] : null,
+                right: k < hunk.remote.length ? hunk.remote[k] : null
+            });
+        }
+    }
+
+    return rows;
+}
+
+// Starting point for a manual merge, git-style conflict markers around each hunk
+function mergeWithMarkers(local, remote) {
+    const lines = [];
+
+    for (const hunk of diffHunks(diffLines(local, remote))) {
+        if (hunk.type === 'equal') {
+            lines.push(...hunk.lines);
+        } else {
+            lines.push('<<<<<<< local', ...hunk.local, '=======', ...hunk.remote, '>>>>>>> github');
+        }
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,123 @@
+// ================================
+// YAML front matter for committed notes
+//
+// Handles the flat subset GitWrite writes and most editors produce:
+// scalar values plus flow ([a, b]) or block (- a) lists of scalars.
+// ================================
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+
+function parseYamlScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    // Unquoted values end at a comment
+    const plain = value.replace(/\s+#.*$/, '');
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+function splitFlowList(raw) {
+    // Split on commas that are not inside quotes
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of raw) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    items.push(current);
+    return items.filter(item => item.trim() !== '');
+}
+
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_PATTERN);
+    if (!match) return { data: null, body: text };
+
+    const data = {};
+    let listKey = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseYamlScalar(item[1]));
+            continue;
+        }
+
+        // Anything nested deeper than one list level is outside this subset
+        const pair = line.match(/^([^\s:#-][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!pair) continue;
+
+        const [, key, raw = ''] = pair;
+        if (raw.trim() === '') {
+            data[key] = [];
+            listKey = key;
+            continue;
+        }
+
+        listKey = null;
+        const value = raw.trim();
+        data[key] = value.startsWith('[') && value.endsWith(']')
+            ? splitFlowList(value.slice(1, -1)).map(parseYamlScalar)
+            : parseYamlScalar(value);
+    }
+
+    return {
+        data,
+        // The blank line after the closing fence belongs to the block, not the note
+        body: text.slice(match[0].length).replace(/^\r?\n/, '')
+    };
+}
+
+function formatYamlScalar(value, inList = false) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    const str = String(value);
+
+    // Quote anything YAML would read as another type or as syntax
+    const needsQuotes = str === '' ||
+        /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(str) ||
+        /[:#]\s|:$|\s$|\n/.test(str) ||
+        /^[-+]?(\d|\.\d)/.test(str) ||
+        /^(true|false|null|yes|no|on|off|~)$/i.test(str) ||
+        (inList && /[,[\]]/.test(str));
+
+    return needsQuotes ? JSON.stringify(str) : str;
+}
+
+function stringifyFrontMatter(data, body) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => Array.isArray(value)
+            ? `${key}: [${value.map(item => formatYamlScalar(item, true)).join(', ')}]`
+            : `${key}: ${formatYamlScalar(value)}`
+        );
+
+    return `---\n${lines.join('\n')}\n---\n\n${body}`;
+}
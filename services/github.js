@@ -7,70 +7,490 @@ function base64ToUtf8(str) {
     return decodeURIComponent(escape(atob(str)));
 }
 
+// Encodes each segment of a repository path so ?, # and % in titles stay part of the path
+function encodeRepoPath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Git's blob id: SHA-1 over "blob <byte length>\0" followed by the content
+async function gitBlobSha(str) {
+    const encoder = new TextEncoder();
+    const body = encoder.encode(str);
+    const header = encoder.encode(`blob ${body.length}\0`);
+
+    const data = new Uint8Array(header.length + body.length);
+    data.set(header);
+    data.set(body, header.length);
+
+    const digest = await crypto.subtle.digest('SHA-1', data);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Every failed GitHub call is raised as a GitHubError. The type says what went wrong:
+//   auth                   token missing, expired or revoked (401)
+//   permission             token can't do this here (403)
+//   not-found              repo, branch or file missing, or hidden from the token (404)
+//   conflict               GitHub refused the change (409, 422)
+//   rate-limited           hourly quota used up; retryAt is X-RateLimit-Reset
+//   secondary-rate-limit   too many requests too fast; retryAt follows Retry-After
+//   network                GitHub couldn't be reached
+//   server                 GitHub failed (5xx) or answered unexpectedly
+// The messages are written to be shown to the user as is.
+class GitHubError extends Error {
+    constructor(type, message, { status = null, retryAt = null } = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.type = type;
+        this.status = status;
+        this.retryAt = retryAt; // ms timestamp, rate limits only
+    }
+}
+
+// Raised when the remote file moved past the SHA the caller last synced against
+class GitHubConflictError extends GitHubError {
+    constructor(path, remote) {
+        super('conflict', `${path} was changed on GitHub`, { status: 409 });
+        this.name = 'GitHubConflictError';
+        this.path = path;
+        this.remote = remote;
+    }
+}
+
+function formatRetryTime(retryAt) {
+    return new Date(retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function secondaryRateLimitError(status, seconds) {
+    return new GitHubError('secondary-rate-limit', `GitHub asked GitWrite to slow down. Trying again in ${seconds}s.`, {
+        status,
+        retryAt: Date.now() + seconds * 1000
+    });
+}
+
+function classifyGitHubError(response, body) {
+    const status = response.status;
+    const detail = body.message || `HTTP ${status}`;
+
+    if (status === 401) {
+        return new GitHubError('auth', 'GitHub rejected the token. Sign in again or enter a new token.', { status });
+    }
+
+    if (status === 403 || status === 429) {
+        // Retry-After wins, then the primary limit's reset time; a bare 429 or a
+        // secondary limit named only in the message waits at least a minute
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        if (retryAfter) {
+            return secondaryRateLimitError(status, retryAfter);
+        }
+
+        if (response.headers.get('X-RateLimit-Remaining') === '0') {
+            const reset = Number(response.headers.get('X-RateLimit-Reset'));
+            const retryAt = reset ? reset * 1000 : Date.now() + 60 * 1000;
+            return new GitHubError('rate-limited', `GitHub rate limit reached. Syncing resumes at ${formatRetryTime(retryAt)}.`, {
+                status,
+                retryAt
+            });
+        }
+
+        if (status === 429 || /secondary rate limit/i.test(detail)) {
+            return secondaryRateLimitError(status, 60);
+        }
+
+        // Only a 403 gets here
+        return new GitHubError('permission', `The token is not allowed to do this: ${detail}`, { status });
+    }
+
+    if (status === 404) {
+        return new GitHubError('not-found', 'Not found on GitHub, or the token cannot see it', { status });
+    }
+    if (status === 409 || status === 422) {
+        return new GitHubError('conflict', `GitHub refused the change: ${detail}`, { status });
+    }
+    if (status >= 500) {
+        return new GitHubError('server', `GitHub is having trouble (HTTP ${status}). Try again later.`, { status });
+    }
+    return new GitHubError('server', `GitHub request failed: ${detail}`, { status });
+}
+
+// OAuth device flow for a GitHub App or OAuth app. github.com doesn't allow
+// cross-origin calls to these endpoints, so they go through a small proxy that
+// forwards /login/device/code and /login/oauth/access_token (docs/GITHUB-LOGIN.md).
+class GitHubOAuthClient {
+    constructor(proxyUrl, clientId) {
+        this.proxyUrl = proxyUrl.replace(/\/+$/, '');
+        this.clientId = clientId;
+    }
+
+    async post(path, params) {
+        const response = await fetch(`${this.proxyUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ client_id: this.clientId, ...params })
+        });
+
+        // Pending and denied authorizations come back as 200 with an error field
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok && !data.error) {
+            throw new Error(`Sign-in proxy returned HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    async requestDeviceCode(scope) {
+        return this.post('/login/device/code', { scope });
+    }
+
+    async pollDeviceToken(deviceCode) {
+        return this.post('/login/oauth/access_token', {
+            device_code: deviceCode,
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        });
+    }
+
+    async refreshToken(refreshToken) {
+        return this.post('/login/oauth/access_token', {
+            refresh_token: refreshToken,
+            grant_type: 'refresh_token'
+        });
+    }
+
+    // Token response -> { token, refreshToken, expiresAt, refreshTokenExpiresAt };
+    // tokens from OAuth apps don't expire and have no refresh token
+    static toCredential(data) {
+        const expiry = seconds => (seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null);
+        return {
+            token: data.access_token,
+            refreshToken: data.refresh_token || null,
+            expiresAt: expiry(data.expires_in),
+            refreshTokenExpiresAt: expiry(data.refresh_token_expires_in)
+        };
+    }
+}
+
+// Repo-level encryption settings; only the salt and a check value, never the key
+const ENCRYPTION_CONFIG_PATH = '.gitwrite/encryption.json';
+
 class GitHubService {
-    constructor(token) {
+    // noteKey ({ key, salt, iterations }) opens encrypted files; with encryptNotes
+    // every file written is sealed with it first
+    constructor(token, { noteKey = null, encryptNotes = false } = {}) {
         this.token = token;
         this.baseUrl = 'https://api.github.com';
+        this.noteKey = noteKey;
+        this.encryptNotes = encryptNotes;
+    }
+
+    // Shared by every instance: a rate limit applies to the token, not to one service
+    static rateLimit = null;
+    static etags = new Map();
+
+    async encodeContent(content) {
+        if (!this.encryptNotes) return content;
+        if (!this.noteKey) {
+            // Never fall back to committing plain text
+            throw new Error('End-to-end encryption is on but its passphrase has not been entered');
+        }
+        return sealNote(this.noteKey, content);
+    }
+
+    async decodeContent(text, path) {
+        if (!isSealedNote(text)) return text;
+        if (!this.noteKey) {
+            throw new Error(`${path} is end-to-end encrypted. Enter the encryption passphrase in GitHub settings to read it.`);
+        }
+        return openSealedNote(this.noteKey, text);
     }
 
-    async createOrUpdateFile(owner, repo, path, content, message, branch = 'main') {
+    async send(method, endpoint, body) {
+        // Don't spend requests while GitHub has told us to wait
+        const limit = GitHubService.rateLimit;
+        if (limit && limit.retryAt > Date.now()) {
+            throw new GitHubError(limit.type, limit.message, { status: limit.status, retryAt: limit.retryAt });
+        }
+
+        const headers = {
+            'Authorization': `token ${this.token}`,
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        // Conditional GETs: a 304 costs no rate limit and reuses the last response
+        const cacheKey = `${this.token} ${endpoint}`;
+        const cached = method === 'GET' ? GitHubService.etags.get(cacheKey) : null;
+        if (cached) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        let response;
         try {
-            // First try to get the file to check if it exists
-            let sha;
-            try {
-                const existing = await this.getFile(owner, repo, path, branch);
-                sha = existing.sha;
-            } catch (error) {
-                // File doesn't exist, that's OK
+            response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new GitHubError('network', 'Could not reach GitHub. Check your connection.');
+        }
+
+        if (response.status === 304 && cached) {
+            return { status: 200, headers: response.headers, data: cached.data };
+        }
+
+        if (!response.ok) {
+            const error = classifyGitHubError(response, await response.json().catch(() => ({})));
+            if (error.retryAt) {
+                GitHubService.rateLimit = { type: error.type, message: error.message, status: error.status, retryAt: error.retryAt };
             }
+            throw error;
+        }
 
-            const response = await fetch(
-                `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Authorization': `token ${this.token}`,
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        message,
-                        content: utf8ToBase64(content),
-                        branch,
-                        sha
-                    })
-                }
+        const data = response.status === 204 ? null : await response.json();
+        const etag = response.headers.get('ETag');
+        if (method === 'GET' && etag) {
+            // Oldest entries go first; a session only ever touches a few hundred URLs
+            GitHubService.etags.delete(cacheKey);
+            GitHubService.etags.set(cacheKey, { etag, data });
+            if (GitHubService.etags.size > 200) {
+                GitHubService.etags.delete(GitHubService.etags.keys().next().value);
+            }
+        }
+
+        return { status: response.status, headers: response.headers, data };
+    }
+
+    async request(method, endpoint, body) {
+        return (await this.send(method, endpoint, body)).data;
+    }
+
+    async getRepository(owner, repo) {
+        return this.request('GET', `/repos/${owner}/${repo}`);
+    }
+
+    async requestAllPages(endpoint, params, maxPages = 10) {
+        // GitHub caps pages at 100 items; stop at the first short page
+        let items = [];
+        for (let page = 1; page <= maxPages; page++) {
+            const query = new URLSearchParams({ ...params, per_page: 100, page });
+            const batch = await this.request('GET', `${endpoint}?${query}`);
+            items = items.concat(batch);
+            if (batch.length < 100) break;
+        }
+        return items;
+    }
+
+    async listRepositories() {
+        // Everything the token can reach, recently pushed first
+        return this.requestAllPages('/user/repos', {
+            sort: 'pushed',
+            affiliation: 'owner,collaborator,organization_member'
+        });
+    }
+
+    async listBranches(owner, repo) {
+        return this.requestAllPages(`/repos/${owner}/${repo}/branches`, {});
+    }
+
+    async createRepository(name, { description = '', isPrivate = true } = {}) {
+        // auto_init commits a README so the default branch exists right away
+        return this.request('POST', '/user/repos', {
+            name,
+            description,
+            private: isPrivate,
+            auto_init: true
+        });
+    }
+
+    async getAuthenticatedUser() {
+        // Only classic and OAuth app tokens report scopes; fine-grained and GitHub App tokens send none
+        const { headers, data: user } = await this.send('GET', '/user');
+        return {
+            login: user.login,
+            scopes: headers.get('X-OAuth-Scopes'),
+            expiresAt: headers.get('GitHub-Authentication-Token-Expiration')
+        };
+    }
+
+    // Commit several files at once via the Git Data API (blobs, tree, commit, ref).
+    // files: [{ path, content, baseSha }]; message may be a function of the files committed.
+    async commitFiles(owner, repo, branch, files, message) {
+        const repoPath = `/repos/${owner}/${repo}`;
+
+        for (let attempt = 0; ; attempt++) {
+            const ref = await this.request('GET', `${repoPath}/git/ref/heads/${branch}`);
+            const parent = await this.request('GET', `${repoPath}/git/commits/${ref.object.sha}`);
+            const tree = await this.request('GET', `${repoPath}/git/trees/${parent.tree.sha}?recursive=1`);
+
+            if (tree.truncated) {
+                throw new Error('Repository tree is too large for a batched commit');
+            }
+
+            const remoteShas = new Map(
+                tree.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha])
             );
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.message);
+            // Same conflict rules as createOrUpdateFile, checked against the branch head.
+            // Sealed content never hashes the same twice, so an encrypted remote that
+            // already matches shows up as a conflict and is settled file by file.
+            const changed = [];
+            const unchanged = [];
+            const conflicts = [];
+            for (const file of files) {
+                const remoteSha = remoteShas.get(file.path);
+                const localSha = await gitBlobSha(file.content);
+
+                if (remoteSha === localSha) {
+                    unchanged.push({ ...file, sha: localSha });
+                } else if (remoteSha && remoteSha !== file.baseSha) {
+                    conflicts.push(file);
+                } else {
+                    changed.push(file);
+                }
+            }
+
+            if (changed.length === 0) {
+                return { commit: null, committed: [], unchanged, conflicts };
             }
 
-            return await response.json();
+            const blobs = await Promise.all(changed.map(async file =>
+                this.request('POST', `${repoPath}/git/blobs`, {
+                    content: utf8ToBase64(await this.encodeContent(file.content)),
+                    encoding: 'base64'
+                })
+            ));
+
+            const newTree = await this.request('POST', `${repoPath}/git/trees`, {
+                base_tree: parent.tree.sha,
+                tree: changed.map((file, i) => ({
+                    path: file.path,
+                    mode: '100644',
+                    type: 'blob',
+                    sha: blobs[i].sha
+                }))
+            });
+
+            const commit = await this.request('POST', `${repoPath}/git/commits`, {
+                message: typeof message === 'function' ? message(changed) : message,
+                tree: newTree.sha,
+                parents: [parent.sha]
+            });
+
+            try {
+                await this.request('PATCH', `${repoPath}/git/refs/heads/${branch}`, { sha: commit.sha });
+            } catch (error) {
+                // The branch moved while we were building; start over on the new head
+                if (error.status === 422 && attempt < 2) continue;
+                throw error;
+            }
+
+            return {
+                commit,
+                committed: changed.map((file, i) => ({ ...file, sha: blobs[i].sha })),
+                unchanged,
+                conflicts
+            };
+        }
+    }
+
+    async createOrUpdateFile(owner, repo, path, content, message, branch = 'main', baseSha = null) {
+        // Only a missing file may be created; a bad token or rate limit must not look like one
+        let existing = null;
+        try {
+            existing = await this.getFile(owner, repo, path, branch);
         } catch (error) {
-            console.error('GitHub API Error:', error);
-            throw error;
+            if (error.type !== 'not-found') throw error;
         }
+
+        // Only write on top of the version the caller has seen
+        if (existing && existing.sha !== baseSha) {
+            if (existing.decodedContent === content) {
+                return { content: { path, sha: existing.sha }, unchanged: true };
+            }
+            throw new GitHubConflictError(path, existing);
+        }
+
+        return this.request('PUT', `/repos/${owner}/${repo}/contents/${encodeRepoPath(path)}`, {
+            message,
+            content: utf8ToBase64(await this.encodeContent(content)),
+            branch,
+            sha: existing ? existing.sha : undefined
+        });
     }
 
     async getFile(owner, repo, path, branch = 'main') {
-        const response = await fetch(
-            `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`,
-            {
-                headers: {
-                    'Authorization': `token ${this.token}`,
-                }
+        const params = new URLSearchParams({ ref: branch });
+        const data = { ...(await this.requestPath('GET', `/repos/${owner}/${repo}/contents/${encodeRepoPath(path)}?${params}`, path)) };
+        if (data.content) {
+            // Encrypted files come back as plain text; data.content keeps the raw blob
+            data.decodedContent = await this.decodeContent(base64ToUtf8(data.content.replace(/\n/g, '')), path);
+        }
+        return data;
+    }
+
+    async listDirectory(owner, repo, path, branch = 'main') {
+        const params = new URLSearchParams({ ref: branch });
+        const data = await this.requestPath('GET', `/repos/${owner}/${repo}/contents/${encodeRepoPath(path)}?${params}`, path || '/');
+        if (!Array.isArray(data)) {
+            throw new GitHubError('conflict', `${path} is not a directory`);
+        }
+        return data;
+    }
+
+    async requestPath(method, endpoint, path) {
+        // Say which path was missing rather than GitHub's bare "Not Found"
+        try {
+            return await this.request(method, endpoint);
+        } catch (error) {
+            if (error.type !== 'not-found') throw error;
+            throw new GitHubError('not-found', `${path} was not found on GitHub`, { status: 404 });
+        }
+    }
+
+    async listFiles(owner, repo, path, branch = 'main') {
+        // Walk the directory tree depth-first and collect every file entry
+        const entries = await this.listDirectory(owner, repo, path, branch);
+        let files = [];
+
+        for (const entry of entries) {
+            if (entry.type === 'dir') {
+                files = files.concat(await this.listFiles(owner, repo, entry.path, branch));
+            } else if (entry.type === 'file') {
+                files.push(entry);
             }
-        );
+        }
 
-        if (!response.ok) {
-            throw new Error('File not found');
+        return files;
+    }
+
+    async listCommits(owner, repo, { path, branch = 'main', perPage = 30, page = 1 } = {}) {
+        const params = new URLSearchParams({ sha: branch, per_page: perPage, page });
+        if (path) {
+            params.set('path', path);
         }
+        return this.request('GET', `/repos/${owner}/${repo}/commits?${params}`);
+    }
 
-        const data = await response.json();
-        if (data.content) {
-            data.decodedContent = base64ToUtf8(data.content.replace(/\n/g, ''));
+    async getEncryptionConfig(owner, repo, branch = 'main') {
+        const params = new URLSearchParams({ ref: branch });
+        try {
+            const file = await this.request('GET', `/repos/${owner}/${repo}/contents/${encodeRepoPath(ENCRYPTION_CONFIG_PATH)}?${params}`);
+            return JSON.parse(base64ToUtf8(file.content.replace(/\n/g, '')));
+        } catch (error) {
+            if (error.type === 'not-found') return null;
+            throw error;
         }
-        return data;
     }
-}
\ No newline at end of file
+
+    async createEncryptionConfig(owner, repo, branch, config) {
+        // Written as is: the other devices need it to derive the key
+        return this.request('PUT', `/repos/${owner}/${repo}/contents/${encodeRepoPath(ENCRYPTION_CONFIG_PATH)}`, {
+            message: 'Enable end-to-end encryption',
+            content: utf8ToBase64(JSON.stringify(config, null, 2) + '\n'),
+            branch
+        });
+    }
+}
@@ -0,0 +1,448 @@
+// ================================
+// Markdown preview renderer
+//
+// Builds DOM nodes directly instead of an HTML string, so note text can never
+// become markup: raw HTML shows up as text, and links/images are limited to
+// http(s), mailto and relative URLs. Remote images render as links, so opening
+// a note never contacts a third party. Covers the CommonMark/GFM blocks people
+// actually write in notes: headings, paragraphs, quotes, lists and task lists,
+// fenced and indented code, tables and rules.
+// ================================
+
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|[ \t]*)$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    renderMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'), fragment);
+    return fragment;
+}
+
+function createMarkdownElement(tag, className) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    return element;
+}
+
+function leadingSpaces(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function startsMarkdownBlock(line) {
+    return FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        RULE_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line);
+}
+
+function interruptsParagraph(line) {
+    // "2024. was a good year" inside a paragraph is text; only a list starting at 1 breaks in
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) return Boolean(item[3]) && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1);
+    return startsMarkdownBlock(line);
+}
+
+function isTableStart(lines, i) {
+    // A header row followed by a |---|:---:| divider
+    const divider = lines[i + 1];
+    return lines[i].includes('|') &&
+        divider !== undefined &&
+        divider.includes('|') &&
+        divider.includes('-') &&
+        TABLE_DIVIDER_PATTERN.test(divider);
+}
+
+function renderMarkdownBlocks(lines, parent) {
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                body.push(lines[i++]);
+            }
+            i++; // closing fence
+
+            const pre = createMarkdownElement('pre');
+            const code = createMarkdownElement('code', fence[2] ? `language-${fence[2]}` : '');
+            code.textContent = body.join('\n');
+            pre.appendChild(code);
+            parent.appendChild(pre);
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const element = createMarkdownElement(`h${heading[1].length}`);
+            renderMarkdownInline(heading[2] || '', element);
+            parent.appendChild(element);
+            i++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            parent.appendChild(createMarkdownElement('hr'));
+            i++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() && (QUOTE_PATTERN.test(lines[i]) || !startsMarkdownBlock(lines[i]))) {
+                quoted.push(lines[i++].replace(QUOTE_PATTERN, ''));
+            }
+
+            const blockquote = createMarkdownElement('blockquote');
+            renderMarkdownBlocks(quoted, blockquote);
+            parent.appendChild(blockquote);
+            continue;
+        }
+
+        if (/^( {4}|\t)/.test(line)) {
+            const body = [];
+            while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) {
+                body.push(lines[i++].replace(/^( {4}|\t)/, ''));
+            }
+
+            const pre = createMarkdownElement('pre');
+            const code = createMarkdownElement('code');
+            code.textContent = body.join('\n').replace(/\n+$/, '');
+            pre.appendChild(code);
+            parent.appendChild(pre);
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            i = renderMarkdownTable(lines, i, parent);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            i = renderMarkdownList(lines, i, parent);
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() &&
+            !(paragraph.length && (interruptsParagraph(lines[i]) || isTableStart(lines, i)))) {
+            paragraph.push(lines[i++].trimStart()); // trailing spaces may be a hard break
+        }
+
+        const element = createMarkdownElement('p');
+        renderMarkdownInline(paragraph.join('\n'), element);
+        parent.appendChild(element);
+    }
+}
+
+function renderMarkdownList(lines, i, parent) {
+    const first = lines[i].match(LIST_ITEM_PATTERN);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = createMarkdownElement(ordered ? 'ol' : 'ul');
+
+    if (ordered && parseInt(first[2], 10) !== 1) {
+        list.start = parseInt(first[2], 10);
+    }
+
+    while (i < lines.length) {
+        // Blank lines between items keep the list going
+        if (!lines[i].trim()) {
+            const next = lines.slice(i).find(line => line.trim());
+            const nextItem = next && next.match(LIST_ITEM_PATTERN);
+            if (!nextItem || nextItem[1].length !== indent) break;
+            while (!lines[i].trim()) i++;
+            continue;
+        }
+
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = indent + match[2].length + 1;
+        const body = [match[3] || ''];
+        i++;
+
+        // Continuation lines: indented past the marker, or lazy paragraph text
+        while (i < lines.length) {
+            const next = lines[i];
+            if (!next.trim()) {
+                const following = lines[i + 1];
+                if (following && following.trim() && leadingSpaces(following) > indent) {
+                    body.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (leadingSpaces(next) > indent) {
+                body.push(next.substring(Math.min(leadingSpaces(next), contentIndent)));
+                i++;
+                continue;
+            }
+            if (!startsMarkdownBlock(next) && body[body.length - 1].trim()) {
+                body.push(next);
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        list.appendChild(renderMarkdownListItem(body));
+    }
+
+    parent.appendChild(list);
+    return i;
+}
+
+function renderMarkdownListItem(body) {
+    const item = createMarkdownElement('li');
+
+    const task = body[0].match(/^\[([ xX])\](?:\s+(.*)|$)/);
+    if (task) {
+        item.className = 'task-list-item';
+        const checkbox = createMarkdownElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.disabled = true;
+        checkbox.checked = task[1] !== ' ';
+        item.appendChild(checkbox);
+        body = [task[2] || '', ...body.slice(1)];
+    }
+
+    // Tight items keep their text inline; blank lines inside make a loose item with paragraphs
+    if (body.some(line => !line.trim()) && body.length > 1) {
+        renderMarkdownBlocks(body, item);
+        return item;
+    }
+
+    let textEnd = 1;
+    while (textEnd < body.length && !startsMarkdownBlock(body[textEnd])) textEnd++;
+
+    renderMarkdownInline(body.slice(0, textEnd).join('\n'), item);
+    renderMarkdownBlocks(body.slice(textEnd), item);
+    return item;
+}
+
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderMarkdownTable(lines, i, parent) {
+    const headers = splitTableRow(lines[i]);
+    const aligns = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return '';
+    });
+
+    const table = createMarkdownElement('table');
+    const appendRow = (section, cells, tag) => {
+        const row = createMarkdownElement('tr');
+        headers.forEach((_, column) => {
+            const cell = createMarkdownElement(tag, aligns[column] ? `align-${aligns[column]}` : '');
+            renderMarkdownInline(cells[column] || '', cell);
+            row.appendChild(cell);
+        });
+        section.appendChild(row);
+    };
+
+    const head = createMarkdownElement('thead');
+    appendRow(head, headers, 'th');
+    table.appendChild(head);
+
+    const tbody = createMarkdownElement('tbody');
+    i += 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        appendRow(tbody, splitTableRow(lines[i++]), 'td');
+    }
+    if (tbody.children.length) table.appendChild(tbody);
+
+    // Wide tables scroll on their own instead of stretching the pane
+    const wrapper = createMarkdownElement('div', 'table-wrapper');
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return i;
+}
+
+// ================================
+// Inline elements
+// ================================
+
+function safeMarkdownUrl(url, { allowMail = true } = {}) {
+    // Web, mail and relative URLs only; javascript:, data: and other schemes stay plain text
+    if (/^https?:/i.test(url)) return url;
+    if (allowMail && /^mailto:/i.test(url)) return url;
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+    return null;
+}
+
+function createMarkdownLink(href, children) {
+    const link = createMarkdownElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    children(link);
+    return link;
+}
+
+function wrapInline(tag) {
+    return (match) => {
+        const element = createMarkdownElement(tag);
+        renderMarkdownInline(match[2], element);
+        return element;
+    };
+}
+
+// Tried in order at every position; `start` lists the characters a rule can begin with
+const INLINE_RULES = [
+    {
+        start: ' \\',
+        pattern: /(?: {2,}|\\)\n/y,
+        render: () => createMarkdownElement('br')
+    },
+    {
+        start: '\\',
+        pattern: /\\([!-/:-@[-`{-~])/y,
+        render: (match) => document.createTextNode(match[1])
+    },
+    {
+        start: '`',
+        pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+        render: (match) => {
+            const code = createMarkdownElement('code');
+            code.textContent = /^ .* $/s.test(match[2]) ? match[2].slice(1, -1) : match[2];
+            return code;
+        }
+    },
+    {
+        start: '!',
+        pattern: /!\[([^\]]*)\]\(\s*<?([^\s<>()]*)>?(?:\s+"([^"]*)")?\s*\)/y,
+        render: (match) => {
+            const src = safeMarkdownUrl(match[2], { allowMail: false });
+            if (!src) return null;
+            // Loading a remote image would tell its host the note was opened, so link to it instead
+            if (/^(?:https?:)?\/\//i.test(src)) {
+                return createMarkdownLink(src, (link) => {
+                    if (match[3]) link.title = match[3];
+                    link.textContent = match[1] || src;
+                });
+            }
+            const image = createMarkdownElement('img');
+            image.src = src;
+            image.alt = match[1];
+            image.loading = 'lazy';
+            if (match[3]) image.title = match[3];
+            return image;
+        }
+    },
+    {
+        start: '[',
+        pattern: /\[((?:\\.|`[^`]*`|[^\]\\`])+)\]\(\s*<?([^\s<>()]*)>?(?:\s+"([^"]*)")?\s*\)/y,
+        render: (match) => {
+            const href = safeMarkdownUrl(match[2]);
+            if (!href) return null;
+            return createMarkdownLink(href, (link) => {
+                if (match[3]) link.title = match[3];
+                renderMarkdownInline(match[1], link);
+            });
+        }
+    },
+    {
+        start: '<',
+        pattern: /<((?:https?:\/\/|mailto:)[^\s<>]+)>/y,
+        render: (match) => createMarkdownLink(match[1], (link) => { link.textContent = match[1]; })
+    },
+    {
+        start: 'hw',
+        wordStart: true,
+        pattern: /(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,:;"')\]!?*_~]/y,
+        render: (match) => createMarkdownLink(
+            match[0].startsWith('www.') ? `https://${match[0]}` : match[0],
+            (link) => { link.textContent = match[0]; }
+        )
+    },
+    {
+        start: '*',
+        pattern: /(\*\*)(?=\S)([\s\S]*?\S)\*\*/y,
+        render: wrapInline('strong')
+    },
+    {
+        start: '_',
+        wordStart: true,
+        pattern: /(__)(?=\S)([\s\S]*?\S)__(?!\w)/y,
+        render: wrapInline('strong')
+    },
+    {
+        start: '*',
+        pattern: /(\*)(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/y,
+        render: wrapInline('em')
+    },
+    {
+        start: '_',
+        wordStart: true,
+        pattern: /(_)(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/y,
+        render: wrapInline('em')
+    },
+    {
+        start: '~',
+        pattern: /(~~)(?=\S)([\s\S]*?\S)~~/y,
+        render: wrapInline('del')
+    }
+];
+
+function renderMarkdownInline(text, parent) {
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) parent.appendChild(document.createTextNode(buffer));
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        let node = null;
+        let length = 0;
+
+        for (const rule of INLINE_RULES) {
+            if (!rule.start.includes(text[i])) continue;
+            if (rule.wordStart && i > 0 && /\w/.test(text[i - 1])) continue;
+
+            rule.pattern.lastIndex = i;
+            const match = rule.pattern.exec(text);
+            node = match && rule.render(match);
+            if (node) {
+                length = match[0].length;
+                break;
+            }
+        }
+
+        if (node) {
+            flush();
+            parent.appendChild(node);
+            i += length;
+        } else {
+            buffer += text[i++];
+        }
+    }
+
+    flush();
+}
@@ -0,0 +1,114 @@
+// ================================
+// Full-text search over local notes
+//
+// Each note is split into terms; the searchIndex store keeps one posting per
+// (term, note) with the term's word positions and character ranges, so phrase
+// checks and highlighting never need to reload the note text.
+//
+// migration             notes containing the term
+// migr*                 any term starting with "migr"
+// "schema migration"    the words next to each other, in order
+// ================================
+
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+function normalizeSearchTerm(word) {
+    return word
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function tokenizeForSearch(text) {
+    const tokens = [];
+    for (const match of text.matchAll(SEARCH_WORD_PATTERN)) {
+        tokens.push({
+            term: normalizeSearchTerm(match[0]),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+function buildSearchPostings(noteId, text) {
+    const postings = new Map();
+
+    tokenizeForSearch(text).forEach((token, position) => {
+        if (!postings.has(token.term)) {
+            postings.set(token.term, { term: token.term, noteId, positions: [], ranges: [] });
+        }
+        const posting = postings.get(token.term);
+        posting.positions.push(position);
+        posting.ranges.push([token.start, token.end]);
+    });
+
+    return postings;
+}
+
+function parseSearchQuery(query) {
+    const clauses = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+
+    for (const [, quoted, word] of query.matchAll(pattern)) {
+        if (quoted !== undefined) {
+            const terms = tokenizeForSearch(quoted).map(token => token.term);
+            if (terms.length) clauses.push(terms.length === 1 ? { type: 'term', terms } : { type: 'phrase', terms });
+            continue;
+        }
+
+        const terms = tokenizeForSearch(word).map(token => token.term);
+        if (!terms.length) continue;
+
+        if (word.endsWith('*') && terms.length === 1) {
+            clauses.push({ type: 'prefix', terms });
+        } else {
+            // Words joined by punctuation (don't, v2.1) must stay together
+            clauses.push(terms.length === 1 ? { type: 'term', terms } : { type: 'phrase', terms });
+        }
+    }
+
+    return clauses;
+}
+
+function matchPhrase(postings) {
+    // postings[i] is the i-th phrase word's posting for one note
+    const [first, ...rest] = postings;
+    const following = rest.map(posting => new Map(posting.positions.map((position, i) => [position, i])));
+    const ranges = [];
+
+    first.positions.forEach((position, i) => {
+        const matches = following.map((positions, offset) => positions.get(position + offset + 1));
+        if (matches.every(index => index !== undefined)) {
+            const last = rest[rest.length - 1].ranges[matches[matches.length - 1]];
+            ranges.push([first.ranges[i][0], last[1]]);
+        }
+    });
+
+    return ranges;
+}
+
+function buildSearchSnippet(text, ranges, radius = 60) {
+    // Text around the first match, split into plain and highlighted segments
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const from = Math.max(0, sorted[0][0] - radius);
+    const to = Math.min(text.length, sorted[0][1] + radius * 2);
+    const segments = [];
+    let cursor = from;
+
+    for (const [start, end] of sorted) {
+        if (start < cursor) continue;
+        if (end > to) break;
+        segments.push({ text: text.substring(cursor, start), match: false });
+        segments.push({ text: text.substring(start, end), match: true });
+        cursor = end;
+    }
+    segments.push({ text: text.substring(cursor, to), match: false });
+
+    if (from > 0) segments[0].text = '…' + segments[0].text.replace(/^\S*\s/, '');
+    if (to < text.length) segments[segments.length - 1].text += '…';
+
+    return segments
+        .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ') }))
+        .filter(segment => segment.text);
+}
@@ -0,0 +1,121 @@
+// ================================
+// Writing statistics
+//
+// Every timer session is stored as one record; the dashboard numbers are all
+// derived from those records, bucketed by local calendar day (YYYY-MM-DD).
+// With a cutoff, writing before that hour still counts for the previous day.
+// ================================
+
+function localDayKey(date, cutoffHours = 0) {
+    const d = new Date(new Date(date).getTime() - cutoffHours * 60 * 60 * 1000);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+function shiftDayKey(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return localDayKey(new Date(year, month - 1, day + days));
+}
+
+function summarizeDays(sessions, cutoffHours = 0) {
+    // dayKey -> { words, sessions, seconds }
+    const days = new Map();
+    for (const session of sessions) {
+        const key = localDayKey(session.startedAt, cutoffHours);
+        const totals = days.get(key) || { words: 0, sessions: 0, seconds: 0 };
+        totals.words += session.words;
+        totals.sessions += 1;
+        totals.seconds += session.durationSeconds;
+        days.set(key, totals);
+    }
+    return days;
+}
+
+function computeStreaks(activeDays, today) {
+    // A streak is still alive until the day after the last active one ends
+    let current = 0;
+    let cursor = activeDays.has(today) ? today : shiftDayKey(today, -1);
+    while (activeDays.has(cursor)) {
+        current++;
+        cursor = shiftDayKey(cursor, -1);
+    }
+
+    let longest = 0;
+    for (const day of activeDays) {
+        if (activeDays.has(shiftDayKey(day, -1))) continue;
+        let length = 1;
+        while (activeDays.has(shiftDayKey(day, length))) length++;
+        longest = Math.max(longest, length);
+    }
+
+    return { current, longest };
+}
+
+function buildHeatmapWeeks(days, today, weeks = 26) {
+    // Columns of Sunday..Saturday ending with the current week
+    const [year, month, day] = today.split('-').map(Number);
+    const start = shiftDayKey(today, -(new Date(year, month - 1, day).getDay() + (weeks - 1) * 7));
+    const max = Math.max(1, ...[...days.values()].map(totals => totals.words));
+    const columns = [];
+
+    for (let week = 0; week < weeks; week++) {
+        const cells = [];
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const key = shiftDayKey(start, week * 7 + weekday);
+            if (key > today) break;
+            const words = days.get(key)?.words || 0;
+            cells.push({ day: key, words, level: words ? Math.ceil((words / max) * 4) : 0 });
+        }
+        columns.push(cells);
+    }
+
+    return columns;
+}
+
+const SESSION_CSV_COLUMNS = [
+    ['started_at', session => session.startedAt],
+    ['ended_at', session => session.endedAt],
+    ['duration_minutes', session => (session.durationSeconds / 60).toFixed(1)],
+    ['planned_minutes', session => session.plannedMinutes],
+    ['completed', session => session.completed],
+    ['words', session => session.words],
+    ['wpm', session => session.wpm],
+    ['pauses', session => session.pauses.length],
+    ['pause_seconds', session => session.pauses.reduce((sum, pause) => sum + pause.seconds, 0)],
+    ['mode', session => session.freewriteMode],
+    ['note_id', session => session.noteId || ''],
+    ['note_title', session => session.noteTitle || '']
+];
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sessionsToCsv(sessions) {
+    const rows = [SESSION_CSV_COLUMNS.map(([name]) => name)];
+    sessions.forEach(session => rows.push(SESSION_CSV_COLUMNS.map(([, read]) => read(session))));
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildStatsReport(sessions, today, cutoffHours = 0) {
+    const days = summarizeDays(sessions, cutoffHours);
+    const words = sessions.reduce((sum, session) => sum + session.words, 0);
+    const seconds = sessions.reduce((sum, session) => sum + session.durationSeconds, 0);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        totals: {
+            sessions: sessions.length,
+            words,
+            minutes: Math.round(seconds / 60),
+            wpm: seconds ? Math.round((words / (seconds / 60)) * 10) / 10 : 0
+        },
+        streaks: computeStreaks(new Set(days.keys()), today),
+        days: [...days.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, totals]) => ({ date, ...totals })),
+        sessions
+    };
+}
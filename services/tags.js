@@ -0,0 +1,57 @@
+// ================================
+// Tags and folders
+//
+// Tags are lowercase words (letters, digits, _ - /), written inline as #tag
+// or added from the sidebar. Folders are slash-separated names that double
+// as subdirectories in the GitHub path template ({{folder}}).
+// ================================
+
+// A hashtag starts a line or follows whitespace/opening punctuation, so URL
+// fragments (page#section) and markdown headings (# Title) are not tags
+const HASHTAG_PATTERN = /(^|[\s([{,;])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+
+function normalizeTag(tag) {
+    const normalized = String(tag)
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}_/-]+/gu, '-')
+        .replace(/^[-/]+|[-/]+$/g, '');
+
+    // Issue references like #12 are not tags
+    return /\p{L}/u.test(normalized) ? normalized : '';
+}
+
+function extractHashtags(text) {
+    // Code blocks and inline code often contain # (shell comments, colors)
+    const prose = text
+        .replace(/```[\s\S]*?(```|$)/g, '')
+        .replace(/`[^`\n]*`/g, '');
+
+    const tags = [];
+    for (const match of prose.matchAll(HASHTAG_PATTERN)) {
+        tags.push(match[2]);
+    }
+    return mergeTags(tags);
+}
+
+function mergeTags(...lists) {
+    const tags = new Set();
+    lists.flat().forEach(tag => {
+        const normalized = normalizeTag(tag);
+        if (normalized) tags.add(normalized);
+    });
+    return [...tags].sort();
+}
+
+function parseTagList(input) {
+    return mergeTags(String(input).split(/[,\s]+/));
+}
+
+function normalizeFolder(folder) {
+    return String(folder || '')
+        .split('/')
+        .map(part => part.trim().replace(/[^\p{L}\p{N} _.-]+/gu, '-').replace(/^\.+/, ''))
+        .filter(Boolean)
+        .join('/');
+}
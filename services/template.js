@@ -0,0 +1,85 @@
+// ================================
+// Template engine for file paths and commit messages
+//
+// {{name}}                 variable
+// {{name|filter}}          filters run left to right, e.g. {{title|slug}}
+// {{name|filter:argument}} e.g. {{now|date:YYYY/MM}} or {{title|truncate:30}}
+//
+// Unknown variables and filters are left in place so typos show up in the preview.
+// ================================
+
+function slugify(str) {
+    const slug = str
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60)
+        .replace(/-+$/, '');
+    return slug || 'untitled';
+}
+
+// Tokens: YYYY YY MM M DD D HH H mm ss; wrap literal text in [brackets]
+function formatDate(date, format) {
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+        YYYY: () => date.getFullYear(),
+        YY: () => pad(date.getFullYear() % 100),
+        MM: () => pad(date.getMonth() + 1),
+        M: () => date.getMonth() + 1,
+        DD: () => pad(date.getDate()),
+        D: () => date.getDate(),
+        HH: () => pad(date.getHours()),
+        H: () => date.getHours(),
+        mm: () => pad(date.getMinutes()),
+        ss: () => pad(date.getSeconds())
+    };
+
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, (token, literal) =>
+        literal !== undefined ? literal : String(tokens[token]())
+    );
+}
+
+const TEMPLATE_FILTERS = {
+    slug: value => slugify(stringifyTemplateValue(value)),
+    lower: value => stringifyTemplateValue(value).toLowerCase(),
+    upper: value => stringifyTemplateValue(value).toUpperCase(),
+    trim: value => stringifyTemplateValue(value).trim(),
+    truncate: (value, length) => stringifyTemplateValue(value).substring(0, parseInt(length, 10) || 50),
+    date: (value, format = 'YYYY-MM-DD') => formatDate(value instanceof Date ? value : new Date(value), format),
+    join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value,
+    first: value => Array.isArray(value) ? (value[0] ?? '') : value,
+    default: (value, fallback = '') => {
+        const empty = value === '' || value === null || value === undefined ||
+            (Array.isArray(value) && value.length === 0);
+        return empty ? fallback : value;
+    }
+};
+
+function stringifyTemplateValue(value) {
+    if (value instanceof Date) return formatDate(value, 'YYYY-MM-DD');
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+function renderTemplate(template, variables) {
+    return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, expression) => {
+        const [name, ...filters] = expression.split('|').map(part => part.trim());
+        if (!(name in variables)) return placeholder;
+
+        let value = variables[name];
+        for (const filter of filters) {
+            // Only the first colon separates the argument, so formats like HH:mm survive
+            const colon = filter.indexOf(':');
+            const filterName = colon === -1 ? filter : filter.substring(0, colon);
+            const argument = colon === -1 ? undefined : filter.substring(colon + 1);
+
+            if (!TEMPLATE_FILTERS[filterName]) return placeholder;
+            value = TEMPLATE_FILTERS[filterName](value, argument);
+        }
+
+        return stringifyTemplateValue(value);
+    });
+}
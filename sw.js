@@ -3,8 +3,8 @@
 // Provides offline functionality and caching
 // ================================
 
-const CACHE_NAME = 'gitwrite-v1';
-const STATIC_CACHE = 'gitwrite-static-v1';
+const CACHE_NAME = 'gitwrite-v2';
+const STATIC_CACHE = 'gitwrite-static-v2';
 
 // Files to cache for offline functionality
 const STATIC_FILES = [
@@ -12,8 +12,18 @@ const STATIC_FILES = [
     './index.html',
     './styles.css',
     './app.js',
+    './analytics.js',
     './manifest.json',
-    './services/github.js'
+    './services/audio.js',
+    './services/github.js',
+    './services/diff.js',
+    './services/template.js',
+    './services/frontmatter.js',
+    './services/tags.js',
+    './services/search.js',
+    './services/markdown.js',
+    './services/stats.js',
+    './services/crypto.js'
 ];
 
 // ================================
@@ -193,7 +203,7 @@ function isStaticFile(pathname) {
 }
 
 // ================================
-// Background Sync (Future Enhancement)
+// Background Sync
 // ================================
 
 self.addEventListener('sync', event => {
@@ -205,24 +215,41 @@ self.addEventListener('sync', event => {
 });
 
 async function handleBackgroundSync() {
-    // This would communicate with the main app to process sync queue
-    // Implementation depends on background sync support
+    // The queue and GitHub credentials live in the page, so an open window does the work
     console.log('[SW] Processing background sync');
-    
-    try {
-        // Send message to all clients to process sync queue
-        const clients = await self.clients.matchAll();
-        clients.forEach(client => {
-            client.postMessage({
-                type: 'BACKGROUND_SYNC',
-                data: { action: 'processSyncQueue' }
-            });
-        });
-    } catch (error) {
-        console.error('[SW] Background sync failed:', error);
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    if (clients.length === 0) {
+        // Rejecting keeps the registration alive; the app also flushes on startup
+        throw new Error('No GitWrite window open to process the sync queue');
+    }
+
+    // One window is enough, they all share the same IndexedDB queue
+    const { remaining } = await requestQueueFlush(clients[0]);
+    if (remaining > 0) {
+        throw new Error(`${remaining} sync jobs still pending`);
     }
 }
 
+function requestQueueFlush(client) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timeout = setTimeout(() => {
+            reject(new Error('Client did not finish processing the sync queue'));
+        }, 60 * 1000);
+
+        channel.port1.onmessage = event => {
+            clearTimeout(timeout);
+            resolve(event.data || {});
+        };
+
+        client.postMessage({
+            type: 'BACKGROUND_SYNC',
+            data: { action: 'processSyncQueue' }
+        }, [channel.port2]);
+    });
+}
+
 // ================================
 // Push Notifications (Future Enhancement)
 // ================================
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// Decrypts GitWrite encrypted notes without the app (Node 18 or newer, no dependencies).
+//
+//   node tools/decrypt-note.js notes/2024-05-01-idea.md > idea.md
+//   GITWRITE_PASSPHRASE=... node tools/decrypt-note.js notes/*.md --out decrypted/
+//
+// The passphrase is read from GITWRITE_PASSPHRASE or asked for once.
+// The envelope format is described in docs/ENCRYPTION.md.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { webcrypto } = require('crypto');
+
+const BEGIN = '-----BEGIN GITWRITE ENCRYPTED NOTE-----';
+const END = '-----END GITWRITE ENCRYPTED NOTE-----';
+
+function parseEnvelope(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const end = lines.indexOf(END);
+    const blank = lines.indexOf('');
+    if (lines[0] !== BEGIN || end === -1 || blank === -1 || blank > end) {
+        return null;
+    }
+
+    const headers = {};
+    for (const line of lines.slice(1, blank)) {
+        const colon = line.indexOf(':');
+        headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+    }
+    if (headers.version !== '1' || headers.kdf !== 'PBKDF2-SHA256' || headers.cipher !== 'AES-256-GCM') {
+        throw new Error('unsupported envelope version');
+    }
+
+    return {
+        iterations: Number(headers.iterations),
+        salt: Buffer.from(headers.salt, 'base64'),
+        iv: Buffer.from(headers.iv, 'base64'),
+        ciphertext: Buffer.from(lines.slice(blank + 1, end).join(''), 'base64')
+    };
+}
+
+const keys = new Map();
+
+async function deriveKey(passphrase, salt, iterations) {
+    // Every note of a repo shares one salt, so the slow derivation runs once
+    const id = `${salt.toString('base64')}:${iterations}`;
+    if (!keys.has(id)) {
+        const material = await webcrypto.subtle.importKey('raw', Buffer.from(passphrase, 'utf8'), 'PBKDF2', false, ['deriveKey']);
+        keys.set(id, await webcrypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['decrypt']
+        ));
+    }
+    return keys.get(id);
+}
+
+async function decryptFile(file, passphrase) {
+    const text = fs.readFileSync(file, 'utf8');
+    const envelope = parseEnvelope(text);
+    if (!envelope) return text; // Committed before encryption was turned on
+
+    const key = await deriveKey(passphrase, envelope.salt, envelope.iterations);
+    const plaintext = await webcrypto.subtle.decrypt({ name: 'AES-GCM', iv: envelope.iv }, key, envelope.ciphertext);
+    return Buffer.from(plaintext).toString('utf8');
+}
+
+function askPassphrase() {
+    if (process.env.GITWRITE_PASSPHRASE) {
+        return Promise.resolve(process.env.GITWRITE_PASSPHRASE);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => rl.question('Passphrase: ', answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+function commonDirectory(files) {
+    // The deepest directory holding every input file, so --out keeps the layout below it
+    const parts = files.map(file => path.dirname(path.resolve(file)).split(path.sep));
+    const common = parts[0].slice(0, Math.min(...parts.map(p => p.length)));
+    const length = common.findIndex((part, i) => parts.some(p => p[i] !== part));
+    return common.slice(0, length === -1 ? common.length : length).join(path.sep) || path.sep;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const outDir = outIndex === -1 ? null : args[outIndex + 1];
+    const files = outIndex === -1 ? args : args.filter((arg, i) => i !== outIndex && i !== outIndex + 1);
+
+    if (files.length === 0 || (outIndex !== -1 && !outDir) || (files.length > 1 && !outDir)) {
+        console.error('Usage: node tools/decrypt-note.js <file> | <files...> --out <dir>');
+        process.exit(2);
+    }
+
+    const passphrase = await askPassphrase();
+    const root = outDir ? commonDirectory(files) : null;
+    const written = new Set();
+    let failed = 0;
+
+    for (const file of files) {
+        const target = outDir ? path.join(outDir, path.relative(root, path.resolve(file))) : null;
+        if (written.has(target)) {
+            console.error(`${file}: skipped, ${target} was already written`);
+            failed++;
+            continue;
+        }
+
+        try {
+            const text = await decryptFile(file, passphrase);
+            if (outDir) {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(target, text);
+                written.add(target);
+                console.error(`${file} -> ${target}`);
+            } else {
+                process.stdout.write(text);
+            }
+        } catch (error) {
+            // AES-GCM rejects a wrong passphrase and tampered files alike
+            const reason = error.name === 'OperationError' ? 'wrong passphrase or damaged file' : error.message;
+            console.error(`${file}: could not decrypt (${reason})`);
+            failed++;
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();